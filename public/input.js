@@ -3,6 +3,13 @@ var API_BASE = window.location.origin + '/api';
 var latestBlendId = null;
 window.COAL_DB = window.COAL_DB || [];
 window.NUM_COAL_ROWS = window.NUM_COAL_ROWS || 5; // keep synchronized with HTML
+window.MAX_MILLS = window.MAX_MILLS || 8;           // mill columns in the HTML grid
+window.NUM_MILLS = window.NUM_MILLS || window.MAX_MILLS; // mills on the current unit (see applyMillCount)
+
+// mill index -> "Mill A", "Mill B", ... (same labels as the server's)
+function millLabel(m){
+  return 'Mill ' + String.fromCharCode(65 + Number(m));
+}
 
 // === suppress flag to avoid autosave/timers during programmatic population ===
 window.__suppressInputEvents = false;
@@ -58,6 +65,287 @@ function setCurrentUnit(u){
   // adjust Save button text so user knows which unit they're saving to
   const saveBtn = document.getElementById('saveBtn');
   if (saveBtn) saveBtn.textContent = `Submit (Unit ${u})`;
+
+  applyMillCount(cachedMillCount(u));
+  loadMillCountForUnit(u);
+  loadAftModelForUnit(u);
+  window.PENDING_FILLS = {};
+  window.MILL_STATUS = [];
+  loadMillStatusForUnit(u);
+  syncBunkersFromServer(u);
+}
+
+// ---------- Mills per unit (GET /api/units/:unit/mills) ----------
+function readMillCounts(){
+  try { return JSON.parse(localStorage.getItem('__millCountByUnit_v1') || '{}'); } catch(e){ return {}; }
+}
+function cachedMillCount(u){
+  const n = Number(readMillCounts()[u]);
+  return (n >= 1 && n <= window.MAX_MILLS) ? n : window.MAX_MILLS;
+}
+
+// size the grid for `n` mills: hide the extra columns, bunkers and feed arrows
+function applyMillCount(n){
+  n = Math.max(1, Math.min(window.MAX_MILLS, Number(n) || window.MAX_MILLS));
+  window.NUM_MILLS = n;
+  document.documentElement.style.setProperty('--mill-count', String(n));
+  document.querySelectorAll('.mills-grid [data-mill]').forEach(el => {
+    const cell = el.closest('.mill') || el;
+    cell.classList.toggle('mill-off', Number(el.dataset.mill) >= n);
+  });
+  document.querySelectorAll('.bunkers-grid .bunker[data-bunker]').forEach(el => {
+    el.classList.toggle('mill-off', Number(el.dataset.bunker) >= n);
+  });
+  document.querySelectorAll('.top-overlay > .arrow').forEach((el, i) => {
+    el.classList.toggle('mill-off', i >= n);
+    if (i < n) el.style.left = ((i + 0.5) * 100 / n) + '%';
+  });
+}
+
+async function loadMillCountForUnit(u){
+  try {
+    const res = await fetch(API_BASE + '/units/' + u + '/mills');
+    if (!res.ok) return;
+    const data = await res.json();
+    const n = Number(data.millCount) || window.MAX_MILLS;
+    const counts = readMillCounts();
+    if (counts[u] === n) return;
+    counts[u] = n;
+    localStorage.setItem('__millCountByUnit_v1', JSON.stringify(counts));
+    if (Number(window.currentUnit) !== Number(u)) return;
+    applyMillCount(n);
+    // re-render so columns that just appeared get their values
+    if (typeof inMemoryPayloadCache !== 'undefined' && inMemoryPayloadCache[u]) populateFormFromPayload(inMemoryPayloadCache[u]);
+    if (typeof calculateBlended === 'function') calculateBlended();
+  } catch (e) {
+    console.warn('loadMillCountForUnit failed', e);
+  }
+}
+
+// AFT correlation selected for the unit; calcAFT in input.html reads window.AFT_MODEL
+async function loadAftModelForUnit(u){
+  // the previous unit's correlation must not be shown for this one
+  window.AFT_MODEL = null;
+  if (typeof calculateBlended === 'function') calculateBlended();
+  try {
+    const res = await fetch(API_BASE + '/units/' + u + '/aft-model');
+    if (!res.ok) { window.AFT_MODEL = null; return; }
+    window.AFT_MODEL = await res.json();
+  } catch (e) {
+    window.AFT_MODEL = null;
+  }
+  if (typeof calculateBlended === 'function') calculateBlended();
+}
+
+// ---------- Blend metrics (POST /api/blend/evaluate) ----------
+// AFT, GCV (on the blend's reporting basis, from each coal's own basis), heat rate and ash indices
+// are the server's, computed from the grid as it stands (what a save would store).
+// Requests are debounced; a late reply for an older grid is dropped.
+window.BLEND_METRICS = null;
+let blendMetricsSeq = 0;
+
+// server values into the per-mill AFT cells and the summary ('--' while unknown)
+function renderBlendMetrics(){
+  const m = window.BLEND_METRICS;
+  const fmt = v => (v === null || v === undefined || !isFinite(v)) ? '--' : Number(v).toFixed(2);
+  document.querySelectorAll('.aft[data-mill]').forEach(el => {
+    el.innerText = fmt(m && Array.isArray(m.aftPerMill) ? m.aftPerMill[Number(el.dataset.mill)] : null);
+  });
+  const set = (id, v) => { const el = document.getElementById(id); if (el) el.innerText = fmt(v); };
+  set('avgGCV', m && m.avgGCV);
+  set('avgAFT', m && m.avgAFT);
+  set('heatRate', m && m.performance ? m.performance.stationHeatRateKcalPerKWh : null);
+}
+
+async function refreshBlendMetrics(){
+  if (typeof collectFormData !== 'function') return;
+  const seq = ++blendMetricsSeq;
+  const payload = Object.assign(collectFormData(), { unit: Number(window.currentUnit || 1) });
+  let metrics = null;
+  try {
+    const res = await fetch(API_BASE + '/blend/evaluate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    if (res.ok) metrics = await res.json();
+  } catch (e) {
+    console.warn('refreshBlendMetrics failed', e);
+  }
+  if (seq !== blendMetricsSeq) return;
+  window.BLEND_METRICS = metrics;
+  renderBlendMetrics();
+}
+const scheduleBlendMetrics = debounce(refreshBlendMetrics, 400);
+
+// ---------- Bunker levels (GET /api/units/:unit/bunkers) ----------
+// Levels and timers are the server's: it drains the saved layers by the mills' effective flows under
+// each bunker's discharge model, so every screen shows the same bunkers. The grid changes a level only
+// through a pending fill (typed percent, popup, clear layer, row coal change) sent with the next save
+// as body.fills; a poll never overwrites a cell with a pending fill.
+const BUNKER_SYNC_MS = 30000;
+window.BUNKER_STATE = null;  // { unit, receivedAt, bunkers } from the last GET
+window.PENDING_FILLS = {};   // 'mill:row' -> { mill, rowIndex, tonnes | percent }
+
+function recordBunkerFill(mill, rowIndex, level){
+  window.PENDING_FILLS[mill + ':' + rowIndex] = Object.assign({ mill: Number(mill), rowIndex: Number(rowIndex) }, level);
+}
+
+// pending fills with the coal each cell holds now
+function pendingFillsForSave(){
+  return Object.keys(window.PENDING_FILLS).map(k => {
+    const f = window.PENDING_FILLS[k];
+    const coal = getCellCoalId(f.rowIndex, f.mill);
+    return coal ? Object.assign({ coal: coal }, f) : f;
+  });
+}
+
+// a row's coal changing relabels the layers it holds (cells with a coal of their own keep it)
+document.addEventListener('change', function(e){
+  const match = (e.isTrusted && e.target && e.target.id) ? /^coalName(\d+)$/.exec(e.target.id) : null;
+  if (!match) return;
+  const r = Number(match[1]);
+  for (let m = 0; m < window.NUM_MILLS; m++) {
+    const own = document.getElementById(`coal_cell_r${r}_m${m}`);
+    const pct = parseFloat(document.querySelector(`.percentage-input[data-row="${r}"][data-mill="${m}"]`)?.value) || 0;
+    if (pct > 0 && !(own && own.value)) recordBunkerFill(m, r, { percent: pct });
+  }
+});
+
+function setTimerBox(el, seconds){
+  if (!el) return;
+  el.value = seconds > 0 ? formatHMS(seconds) : '--';
+  el.dataset.seconds = String(Math.floor(seconds));
+}
+
+// "Bunker Empty time" and the feeding layer's time left, counted down from the last GET
+function renderBunkerTimers(){
+  const state = window.BUNKER_STATE;
+  const current = state && Number(state.unit) === Number(window.currentUnit);
+  const elapsed = current ? (Date.now() - state.receivedAt) / 1000 : 0;
+  const left = s => (s === null || s === undefined) ? 0 : Math.max(0, s - elapsed);
+  for (let m = 0; m < window.MAX_MILLS; m++) {
+    const b = current ? state.bunkers[m] : null;
+    const feeding = b ? (b.layers || []).find(l => l.rowIndex === b.feedingRow) : null;
+    setTimerBox(document.getElementById('nextTimer' + m), b ? left(b.secondsToEmpty) : 0);
+    setTimerBox(document.getElementById('nextBlend' + m), feeding ? left(feeding.secondsUntilGone) : 0);
+  }
+}
+setInterval(renderBunkerTimers, 1000);
+
+// server levels into the grid's percentage cells (skipping pending fills and the cell being typed in)
+function renderBunkerLevels(){
+  const state = window.BUNKER_STATE;
+  if (!state || Number(state.unit) !== Number(window.currentUnit)) return;
+  const active = document.activeElement;
+  withSuppressedInputs(() => {
+    state.bunkers.forEach((b, m) => {
+      if (m >= window.NUM_MILLS) return;
+      const byRow = {};
+      (b.layers || []).forEach(l => { byRow[Number(l.rowIndex)] = l; });
+      document.querySelectorAll(`.percentage-input[data-mill="${m}"]`).forEach(el => {
+        if (el === active || window.PENDING_FILLS[m + ':' + el.dataset.row]) return;
+        const layer = byRow[Number(el.dataset.row)];
+        // without a bunker capacity the server only knows the saved percent
+        if (layer && (layer.percent === null || layer.percent === undefined)) return;
+        const v = layer ? Number(Number(layer.percent).toFixed(2)) : 0;
+        el.value = v > 0 ? String(v) : '';
+        el.dataset.prev = el.value;
+      });
+    });
+  });
+  renderBunkerTimers();
+}
+
+async function syncBunkersFromServer(u){
+  u = Number(u || window.currentUnit || 1);
+  try {
+    const res = await fetch(API_BASE + '/units/' + u + '/bunkers');
+    if (!res.ok) return;
+    const data = await res.json();
+    if (Number(window.currentUnit) !== u) return;
+    window.BUNKER_STATE = { unit: u, receivedAt: Date.now(), bunkers: data.bunkers || [] };
+  } catch (e) {
+    console.warn('syncBunkersFromServer failed', e);
+    return;
+  }
+  renderBunkerLevels();
+}
+setInterval(() => {
+  if (document.hidden) return;
+  loadMillStatusForUnit(window.currentUnit);
+  syncBunkersFromServer(window.currentUnit);
+}, BUNKER_SYNC_MS);
+
+// ---------- Mill status (GET/PUT /api/units/:unit/mill-status) ----------
+// A status select on each bunker; stopped mills are greyed out (the server stops their bunker drain).
+window.MILL_STATUS = [];
+const MILL_STATUS_LABELS = { 'in-service': 'In service', 'standby': 'Standby', 'tripped': 'Tripped', 'maintenance': 'Maintenance' };
+
+function renderMillStatus(){
+  document.querySelectorAll('.bunkers-grid .bunker[data-bunker]').forEach(el => {
+    const m = Number(el.dataset.bunker);
+    const st = window.MILL_STATUS[m];
+    let sel = el.querySelector('.mill-status-select');
+    if (!st) { if (sel) sel.remove(); el.classList.remove('mill-stopped'); return; }
+    if (!sel) {
+      sel = document.createElement('select');
+      sel.className = 'mill-status-select';
+      Object.keys(MILL_STATUS_LABELS).forEach(k => {
+        const opt = document.createElement('option');
+        opt.value = k;
+        opt.textContent = MILL_STATUS_LABELS[k];
+        sel.appendChild(opt);
+      });
+      sel.addEventListener('change', () => changeMillStatus(Number(el.dataset.bunker), sel.value));
+      el.appendChild(sel);
+    }
+    if (document.activeElement !== sel) sel.value = st.status;
+    el.classList.toggle('mill-stopped', st.status !== 'in-service');
+    sel.title = st.status === 'in-service' ? 'In service'
+      : `${MILL_STATUS_LABELS[st.status] || st.status}: ${st.reason || ''}${st.since ? ' (since ' + new Date(st.since).toLocaleString() + ')' : ''}`;
+  });
+}
+
+async function loadMillStatusForUnit(u){
+  u = Number(u || window.currentUnit || 1);
+  try {
+    const res = await fetch(API_BASE + '/units/' + u + '/mill-status');
+    if (!res.ok) return;
+    const data = await res.json();
+    if (Number(window.currentUnit) !== u) return;
+    window.MILL_STATUS = data.mills || [];
+  } catch (e) {
+    console.warn('loadMillStatusForUnit failed', e);
+    return;
+  }
+  renderMillStatus();
+}
+
+async function changeMillStatus(m, status){
+  const u = Number(window.currentUnit || 1);
+  let reason = '';
+  if (status !== 'in-service') {
+    reason = prompt(`Reason for ${MILL_STATUS_LABELS[status] || status} on ${millLabel(m)}:`) || '';
+    if (!reason.trim()) { renderMillStatus(); return; }
+  }
+  try {
+    const res = await fetch(API_BASE + '/units/' + u + '/mill-status/' + m, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status, reason })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert('Failed to update mill status: ' + ((data.errors || [data.error]).join('; ')));
+    } else if (data.unallocatedTph > 0) {
+      alert(`${Number(data.unallocatedTph).toFixed(1)} t/h could not be moved to running mills within their rated capacity.`);
+    }
+  } catch (e) {
+    alert('Network error: ' + (e && e.message ? e.message : e));
+  }
+  await loadMillStatusForUnit(u);
+  syncBunkersFromServer(u);
 }
 
 // ---------- Server-backed unit mapping helpers (new) ----------
@@ -213,6 +501,10 @@ function setCurrentUnitFast(u){
       btn.setAttribute('aria-pressed', active ? 'true' : 'false');
     });
     const saveBtn = document.getElementById('saveBtn'); if (saveBtn) saveBtn.textContent = `Submit (Unit ${u})`;
+    applyMillCount(cachedMillCount(u));
+    loadMillCountForUnit(u);
+    loadAftModelForUnit(u);
+    window.PENDING_FILLS = {};
 
     // Instant render: read from in-memory cache (no JSON.parse, no blocking)
     if (inMemoryPayloadCache[u]) {
@@ -237,6 +529,11 @@ function setCurrentUnitFast(u){
       }
     }
 
+    // cached payloads hold the levels as of their save; bring them to the server's current level
+    window.MILL_STATUS = [];
+    loadMillStatusForUnit(u);
+    syncBunkersFromServer(u);
+
     // Background: fetch authoritative payload from server if an id exists.
     // DO NOT await it here; let it update UI when available.
     (async function backgroundFetch(){
@@ -350,7 +647,7 @@ function clearFormForUnitUI() {
     const cost = document.getElementById('costBox' + r);
     if (cost) cost.value = '';
     // clear per-cell hidden inputs for each mill
-    for (let m = 0; m < 8; m++) {
+    for (let m = 0; m < window.MAX_MILLS; m++) {
       const pct = document.querySelector(`.percentage-input[data-row="${r}"][data-mill="${m}"]`);
       if (pct) { pct.value = ''; pct.dispatchEvent(new Event('input', { bubbles: true })); }
       const hidCoal = document.getElementById(`coal_cell_r${r}_m${m}`);
@@ -413,12 +710,12 @@ function populateFormFromPayload(payload) {
 
     // Rows: set global selects or per-cell inputs + gcv/cost
     for (let r = 1; r <= N; r++) {
-      const rowObj = rows[r - 1] || { coal: '', percentages: Array(8).fill(0), gcv: '', cost: '' };
+      const rowObj = rows[r - 1] || { coal: '', percentages: Array(window.NUM_MILLS).fill(0), gcv: '', cost: '' };
       const coalVal = rowObj.coal;
       // if coalVal is an object mapping (per mill) set per-cell hidden; else if string set global select
       if (coalVal && typeof coalVal === 'object' && !Array.isArray(coalVal)) {
         // per-mill mapping
-        for (let m = 0; m < 8; m++) {
+        for (let m = 0; m < window.NUM_MILLS; m++) {
           const id = coalVal[String(m)] || '';
           const hid = ensureHiddenInput(`coal_cell_r${r}_m${m}`) || document.getElementById(`coal_cell_r${r}_m${m}`);
           if (hid) hid.value = id;
@@ -429,7 +726,7 @@ function populateFormFromPayload(payload) {
         // string or empty - set global select and clear per-cell storages
         const gsel = document.getElementById('coalName' + r);
         if (gsel) gsel.value = coalVal || '';
-        for (let m = 0; m < 8; m++) {
+        for (let m = 0; m < window.NUM_MILLS; m++) {
           const hid = document.getElementById(`coal_cell_r${r}_m${m}`);
           if (hid) hid.value = '';
         }
@@ -442,8 +739,8 @@ function populateFormFromPayload(payload) {
       if (costEl) costEl.value = (rowObj.cost !== undefined && rowObj.cost !== null) ? String(rowObj.cost) : '';
 
       // percentages array
-      const pArr = Array.isArray(rowObj.percentages) ? rowObj.percentages : (rowObj.percent || Array(8).fill(0));
-      for (let m = 0; m < 8; m++) {
+      const pArr = Array.isArray(rowObj.percentages) ? rowObj.percentages : (rowObj.percent || Array(window.NUM_MILLS).fill(0));
+      for (let m = 0; m < window.NUM_MILLS; m++) {
         const pctEl = document.querySelector(`.percentage-input[data-row="${r}"][data-mill="${m}"]`);
         if (pctEl) {
           const v = (pArr[m] === undefined || pArr[m] === null) ? '' : String(Number(pArr[m]) || 0);
@@ -455,7 +752,7 @@ function populateFormFromPayload(payload) {
 
     // Flows
     if (Array.isArray(payload.flows)) {
-      for (let m = 0; m < payload.flows.length && m < 8; m++) {
+      for (let m = 0; m < payload.flows.length && m < window.NUM_MILLS; m++) {
         const fEl = document.querySelector(`.flow-input[data-mill="${m}"]`);
         if (fEl && !fEl.classList.contains('total-inputs') && !fEl.classList.contains('timers-input')) {
           fEl.value = (payload.flows[m] === undefined || payload.flows[m] === null) ? '' : String(payload.flows[m]);
@@ -491,6 +788,8 @@ function populateFormFromPayload(payload) {
     if (typeof validateMillPercentages === 'function') validateMillPercentages();
     if (typeof updateBunkerTotalsUI === 'function') updateBunkerTotalsUI();
 
+    // the payload holds the levels as of its save; show the server's current ones
+    renderBunkerLevels();
   } catch (err) {
     console.error('populateFormFromPayload error', err);
   }
@@ -543,7 +842,7 @@ async function loadUnitData(unit) {
     }
 
     const data = await res.json();
-    const payload = (data && (data.rows || data.flows || data.clientBunkers)) ? data : (data && data.data ? data.data : data);
+    const payload = (data && (data.rows || data.flows)) ? data : (data && data.data ? data.data : data);
 
     // Ensure dropdowns / popup options exist before populating
     if (typeof populateHiddenDropdownsAndPopup === 'function') {
@@ -630,21 +929,10 @@ function findCoalInDB(idOrName){
   return null;
 }
 
-/* --- data collection: builds rows[], flows[], generation --- 
+/* --- data collection: builds rows[], flows[], generation and fills[] (pending bunker fills) --- 
      rows[].coal: if all mills for that row share same coal id -> store string
                    else store object { "0": "id0", "1": "id1", . } (mill index keys)
 */
-// REPLACE existing collectFormData() with this version
-// put this in input.js replacing the old collectFormData() (keeps same returned shape + clientBunkers)
-function secondsToHHMMSS(secondsRaw) {
-  if (!isFinite(secondsRaw) || secondsRaw === null) return '00:00:00';
-  const s = Math.max(0, Math.round(secondsRaw));
-  const h = Math.floor(s / 3600);
-  const m = Math.floor((s % 3600) / 60);
-  const sec = s % 60;
-  return String(h).padStart(2, '0') + ':' + String(m).padStart(2, '0') + ':' + String(sec).padStart(2, '0');
-}
-
 function collectFormData(){
   var rows = [];
   var N = window.NUM_COAL_ROWS || 5;
@@ -652,7 +940,7 @@ function collectFormData(){
     var coalGlobal = _getEl('coalName' + r) ? _getEl('coalName' + r).value : '';
     var perCellMap = {};
     var anyPerCell = false;
-    for(var m=0;m<8;m++){
+    for(var m=0;m<window.NUM_MILLS;m++){
       var cid = getCellCoalId(r,m) || '';
       if(cid && cid !== coalGlobal){
         anyPerCell = true;
@@ -661,7 +949,7 @@ function collectFormData(){
     }
     var coalField = anyPerCell ? perCellMap : (coalGlobal || '');
     var percentages = [];
-    for(var mm=0; mm<8; mm++){
+    for(var mm=0; mm<window.NUM_MILLS; mm++){
       var p = document.querySelector(`.percentage-input[data-row="${r}"][data-mill="${mm}"]`);
       percentages.push(p ? _parseFloatSafe(p.value) : 0);
     }
@@ -670,15 +958,18 @@ function collectFormData(){
     rows.push({ coal: coalField, percentages: percentages, gcv: gcv, cost: cost });
   }
 
+  // coal flow row only (timer and bunker-total inputs share the .flow-input class)
   var flows = [];
-  var flowEls = document.querySelectorAll('.flow-input');
-  for(var i=0;i<flowEls.length;i++) flows.push(_parseFloatSafe(flowEls[i].value));
+  for(var fm=0; fm<window.NUM_MILLS; fm++){
+    var flowEl = document.querySelector(`.flow-input[data-mill="${fm}"]:not(.timers-input):not(.total-inputs)`);
+    flows.push(flowEl ? _parseFloatSafe(flowEl.value) : 0);
+  }
 
   var generation = _parseFloatSafe(_getElVal('generation'));
   var bunkerCapacity = _parseFloatSafe(_getElVal('bunkerCapacity'));
 
   var bunkerCapacities = [];
-  for(var bi=0; bi<8; bi++){
+  for(var bi=0; bi<window.NUM_MILLS; bi++){
     var capEl = document.querySelector(`.bunker-capacity[data-mill="${bi}"]`) || document.getElementById('bunkerCapacity' + bi);
     if(capEl){
       var v = (capEl.value !== undefined) ? capEl.value : (capEl.dataset && capEl.dataset.value ? capEl.dataset.value : capEl.textContent);
@@ -694,42 +985,6 @@ function collectFormData(){
     if (rawMap) coalColorMap = JSON.parse(rawMap);
   } catch (e) { coalColorMap = {}; }
 
-  // --- NEW: build client-side bunker representation including timers ---
-  var clientBunkers = [];
-  for(var bi=0; bi<8; bi++){
-    // computeLayerSeconds returns bottom->top seconds per your code
-    var layerSeconds = (typeof computeLayerSeconds === 'function') ? (computeLayerSeconds(bi) || []) : [];
-    var layers = [];
-    for(var li=0; li<layerSeconds.length; li++){
-      var seconds = layerSeconds[li];
-      // determine the rowIndex that corresponds to this bottom->top element:
-      // rowIndex (DOM row) = NUM_COAL_ROWS - li
-      var rowIndex = (window.NUM_COAL_ROWS || 5) - li;
-      // percent for that layer (bottom->top)
-      var percent = parseFloat(document.querySelector(`.percentage-input[data-row="${rowIndex}"][data-mill="${bi}"]`)?.value) || 0;
-
-      // try to fetch cell-level coal/gcv/cost/color if present
-      var coalId = getCellCoalId(rowIndex, bi) || (document.getElementById('coalName' + rowIndex)?.value || '');
-      var coalObj = findCoalInDB(coalId);
-      var coalName = coalObj ? (coalObj.coal || coalObj.name || '') : (coalId || '');
-      var gcv = getCellGcv(rowIndex, bi) || undefined;
-      var cost = getCellCost(rowIndex, bi) || undefined;
-      var color = (coalObj && coalObj.color) ? coalObj.color : ( (coalColorMap && coalColorMap[coalId]) ? coalColorMap[coalId] : undefined );
-
-      layers.push({
-        rowIndex: Number(rowIndex),
-        coal: coalName,
-        percent: Number(percent || 0),
-        gcv: (gcv === 0 ? 0 : (gcv || undefined)),
-        cost: (cost === 0 ? 0 : (cost || undefined)),
-        color: color || undefined,
-        timer: secondsToHHMMSS(seconds),
-        rawSeconds: (isFinite(seconds) ? Math.round(seconds) : null)
-      });
-    }
-    clientBunkers.push({ layers: layers });
-  }
-
   return {
     rows: rows,
     flows: flows,
@@ -738,7 +993,7 @@ function collectFormData(){
     bunkerCapacity: bunkerCapacity,
     bunkerCapacities: bunkerCapacities,
     coalColorMap: coalColorMap,
-    clientBunkers: clientBunkers   // <-- NEW
+    fills: pendingFillsForSave()
   };
 }
 
@@ -764,6 +1019,7 @@ async function saveToServer(){
     var ids = readBlendIds();
     var unit = window.currentUnit || 1;
     var idForUnit = await getBlendIdForUnit(unit);
+    if(!idForUnit) payload.unit = Number(unit); // a new blend burns under the unit's mill statuses
 
     // choose endpoint & method
     var url, method;
@@ -775,10 +1031,21 @@ async function saveToServer(){
       method = 'POST';
     }
 
+    // an update leaves the levels to the server: the grid's changes go as payload.fills, and
+    // percentages sent with the rows would refill every cell that drained since the last poll
+    var body = payload;
+    if(method === 'PUT'){
+      body = Object.assign({}, payload, { rows: payload.rows.map(function(r){
+        var row = Object.assign({}, r);
+        delete row.percentages;
+        return row;
+      }) });
+    }
+
     var res = await fetch(url, {
       method: method,
       headers: {'Content-Type':'application/json'},
-      body: JSON.stringify(payload)
+      body: JSON.stringify(body)
     });
 
     if(!res.ok){
@@ -789,6 +1056,7 @@ async function saveToServer(){
     }
 
     var data = await res.json();
+    window.PENDING_FILLS = {};
 
     // server returns created/updated id (try common fields)
     var returnedId = data.id || data._id || null;
@@ -826,8 +1094,15 @@ async function saveToServer(){
 
     // show user which unit / id saved
     var shownId = (window.serverUnitMap && window.serverUnitMap[unit]) || ids[unit] || returnedId || 'unknown';
-    alert('Saved (unit: ' + unit + ' — id: ' + shownId + ')');
+    var savedMsg = 'Saved (unit: ' + unit + ' — id: ' + shownId + ')';
+    if (Array.isArray(data.stockWarnings) && data.stockWarnings.length) {
+      savedMsg += '\n\nYard stock warnings:\n' + data.stockWarnings.map(function(w){
+        return '- ' + w.coal + ': ' + w.message + ' (stock ' + Number(w.stock || 0).toFixed(1) + ' t)';
+      }).join('\n');
+    }
+    alert(savedMsg);
     console.log('[saveToServer] stored ids:', ids);
+    syncBunkersFromServer(unit);
 
   }catch(e){
     console.error(e);
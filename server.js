@@ -22,20 +22,55 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '/public/login.html'));
 });
 
+// connect (and listen, see the end of the file) only when run as the server; tests require() the helpers
 const MONGO_URI = process.env.MONGO_URI;
-if (!MONGO_URI) {
-  console.error('ERROR: MONGO_URI not set in .env');
-  process.exit(1);
-}
-
-mongoose.connect(MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
-  .then(()=>console.log('✅ MongoDB connected'))
-  .catch(err=>{
-    console.error('MongoDB connection error:', err.message || err);
+if (require.main === module) {
+  if (!MONGO_URI) {
+    console.error('ERROR: MONGO_URI not set in .env');
     process.exit(1);
-  });
+  }
+
+  mongoose.connect(MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
+    .then(()=>console.log('✅ MongoDB connected'))
+    .catch(err=>{
+      console.error('MongoDB connection error:', err.message || err);
+      process.exit(1);
+    });
+}
 
 /* -------------------- Coal model -------------------- */
+// one lab analysis of a lot/rake; the coal's top-level fields mirror the analysis effective now
+const AnalysisSchema = new mongoose.Schema({
+  lotId: String,
+  sampledAt: Date,
+  effectiveFrom: { type: Date, default: Date.now },
+  SiO2: Number,
+  Al2O3: Number,
+  Fe2O3: Number,
+  CaO: Number,
+  MgO: Number,
+  Na2O: Number,
+  K2O: Number,
+  TiO2: Number,
+  SO3: Number,
+  P2O5: Number,
+  Mn3O4: Number,
+  SulphurS: Number,
+  // proximate analysis (%) and Hardgrove Grindability Index; null when not analysed
+  totalMoisture: Number,                 // as received
+  inherentMoisture: Number,              // air dried
+  ash: Number,                           // as received
+  volatileMatter: Number,
+  fixedCarbon: Number,
+  hgi: Number,
+  // ultimate analysis carbon (%), used for CO2; null when not analysed
+  carbon: Number,
+  gcv: Number,
+  gcvBasis: String,                      // ARB | ADB | DB | DAF (see convertGcv), missing = ARB
+  cost: Number,
+  createdAt: { type: Date, default: Date.now }
+});
+
 const CoalSchema = new mongoose.Schema({
   coal: String,
   SiO2: Number,
@@ -50,15 +85,116 @@ const CoalSchema = new mongoose.Schema({
   P2O5: Number,
   Mn3O4: Number,
   SulphurS: Number,
+  // proximate analysis (%) and Hardgrove Grindability Index; null when not analysed
+  totalMoisture: Number,                 // as received
+  inherentMoisture: Number,              // air dried
+  ash: Number,                           // as received
+  volatileMatter: Number,
+  fixedCarbon: Number,
+  hgi: Number,
+  // ultimate analysis carbon (%), used for CO2; null when not analysed
+  carbon: Number,
   gcv: Number,
+  gcvBasis: String,                      // ARB | ADB | DB | DAF (see convertGcv), missing = ARB
   cost: Number,
   // color field so same coal shows same color across all bunkers
-  color: String
+  color: String,
+  // other names the coal is known by (matched like the name, see coalNameKey())
+  aliases: { type: [String], default: [] },
+  // retired coals stay in the collection (so old blends still resolve) but are hidden from lists
+  retired: { type: Boolean, default: false },
+  // analysis history (lots), resolved by effectiveFrom when computing blends
+  analyses: { type: [AnalysisSchema], default: [] }
 }, { collection: 'coals' });
 
 const Coal = mongoose.model('Coal', CoalSchema);
 
+/* -------------------- Coal analysis history helpers -------------------- */
+// Number(v), or null for blank/NaN input (0 instead when zeroBlank is set)
+function numberOrNull(v, zeroBlank) {
+  const n = (v === undefined || v === null || v === '') ? NaN : Number(v);
+  if (isFinite(n)) return n;
+  return zeroBlank ? 0 : null;
+}
+
+function snapshotAnalysis(src, meta = {}) {
+  const a = {
+    lotId: meta.lotId || '',
+    sampledAt: meta.sampledAt || null,
+    effectiveFrom: meta.effectiveFrom || new Date()
+  };
+  COAL_NUMERIC_FIELDS.forEach(f => { a[f] = numberOrNull(src[f], !COAL_PROXIMATE_FIELDS.includes(f)); });
+  a.gcvBasis = normalizeGcvBasis(src.gcvBasis) || DEFAULT_GCV_BASIS;
+  return a;
+}
+
+// latest analysis whose effectiveFrom <= at (default now); null when the coal has no history
+function analysisAt(coal, at) {
+  const t = at ? new Date(at).getTime() : Date.now();
+  let best = null, bestFrom = -Infinity;
+  ((coal && coal.analyses) || []).forEach(a => {
+    const from = a.effectiveFrom ? new Date(a.effectiveFrom).getTime() : 0;
+    if (from <= t && from >= bestFrom) { best = a; bestFrom = from; }
+  });
+  return best;
+}
+
+// copy of the coal doc with its analysis fields taken from the analysis effective at `at`
+function coalAsOf(coal, at) {
+  const a = analysisAt(coal, at);
+  if (!a) return coal;
+  const out = Object.assign({}, coal, { lotId: a.lotId || '' });
+  COAL_NUMERIC_FIELDS.forEach(f => { if (a[f] !== undefined && a[f] !== null) out[f] = a[f]; });
+  if (a.gcvBasis) out.gcvBasis = a.gcvBasis;
+  return out;
+}
+
+function analysisChanged(existing, doc) {
+  const basis = c => normalizeGcvBasis(c.gcvBasis) || DEFAULT_GCV_BASIS;
+  if (basis(existing) !== basis(doc)) return true;
+  return COAL_NUMERIC_FIELDS.some(f => {
+    const zeroBlank = !COAL_PROXIMATE_FIELDS.includes(f);
+    return numberOrNull(existing[f], zeroBlank) !== numberOrNull(doc[f], zeroBlank);
+  });
+}
+
+// $push for a new analysis entry; legacy coals without history get their previous values
+// seeded (effective since epoch) so blends computed before the change still resolve them
+function analysisHistoryPush(existing, entry) {
+  const entries = [];
+  if (existing && !(existing.analyses && existing.analyses.length)) {
+    entries.push(snapshotAnalysis(existing, { effectiveFrom: new Date(0) }));
+  }
+  entries.push(entry);
+  return { analyses: { $each: entries } };
+}
+
+// top-level analysis fields of a coal (`doc` on top of `existing`) once `entry` joins its history:
+// they mirror the analysis effective now, so an entry dated before the current one leaves them as they are
+function analysisFieldsAfter(existing, doc, entry) {
+  const analyses = ((existing && existing.analyses) || []).slice();
+  if (existing && !analyses.length) analyses.push(snapshotAnalysis(existing, { effectiveFrom: new Date(0) }));
+  analyses.push(entry);
+  const current = coalAsOf(Object.assign({}, existing, doc, { analyses }));
+  const out = {};
+  COAL_NUMERIC_FIELDS.concat(['gcvBasis']).forEach(f => { out[f] = current[f]; });
+  return out;
+}
+
+// true when `doc` carries a new analysis (different values or a different lot) for `existing`
+function isNewAnalysis(existing, doc, meta) {
+  if (analysisChanged(existing, doc)) return true;
+  const current = analysisAt(existing);
+  return !!(meta && meta.lotId && (!current || current.lotId !== meta.lotId));
+}
+
 /* -------------------- Blend model (rows + computed fields + bunkers) -------------------- */
+// mills (= bunkers) per unit: declared on the unit map; the input page grid has MAX_MILL_COUNT columns
+const DEFAULT_MILL_COUNT = 8;
+const MAX_MILL_COUNT = 8;
+// coal rows (layers) in the input page grid
+const NUM_COAL_ROWS = process.env.NUM_COAL_ROWS ? Number(process.env.NUM_COAL_ROWS) : 5;
+
 const RowSchema = new mongoose.Schema({
   // coal: either a string (single coal) OR object mapping millIndex->coalRef (id or name)
   coal: { type: mongoose.Schema.Types.Mixed },
@@ -70,9 +206,18 @@ const RowSchema = new mongoose.Schema({
 const BlendSchema = new mongoose.Schema({
   rows: [RowSchema],
   flows: [Number],
+  // flows in force from `at` (appended when the flows change); drives the bunker drain
+  flowHistory: { type: [{ at: Date, flows: [Number] }], default: [] },
+  // flows actually burnt: `flows` (set points) with the unit's mill statuses applied
+  effectiveFlows: { type: [Number], default: [] },
   generation: Number,
+  // optional performance inputs: boiler efficiency (%) and turbine heat rate (kcal/kWh)
+  boilerEfficiency: { type: Number, default: null },
+  turbineHeatRate: { type: Number, default: null },
+  // number of mills/bunkers the arrays below are sized for (the unit's millCount when saved)
+  millCount: { type: Number, default: DEFAULT_MILL_COUNT },
 
-  // store independent bunker info (array length 6): each has layers
+  // store independent bunker info (array length = millCount): each has layers
   bunkers: [{
     layers: [{
       rowIndex: Number,
@@ -81,27 +226,70 @@ const BlendSchema = new mongoose.Schema({
       gcv: Number,
       cost: Number,
       color: String,    // <- persist the colour hex (e.g. "#aabbcc")
+      lotId: String,    // lot whose analysis was effective at analysisAt
+      tonnes: Number,   // layer mass at the bunker's levelAt
+      filledAt: Date,   // when the layer was put into the bunker
       timer: {
         type: String,
         default: '00:00:00', // format: HH:MM:SS
       },
-    }]
+    }],
+    levelAt: Date,      // layer tonnes are as of this time; drained by flowHistory since
+    discharge: { model: String, mixingZonePct: Number } // see DISCHARGE_MODELS
   }],
 
 
   // add to BlendSchema definition (after generation:)
   bunkerCapacity: { type: Number, default: 0 },          // global capacity (single input)
-  bunkerCapacities: { type: [Number], default: [] },     // per-bunker override array (length 6 expected)
+  bunkerCapacities: { type: [Number], default: [] },     // per-bunker override array (length = millCount)
+
 
+  // timestamp used to pick each coal's effective analysis (lot) for the computed fields
+  analysisAt: { type: Date, default: Date.now },
+  // yard stock has been charged with this blend's burn up to this time
+  consumptionAccruedAt: { type: Date, default: null },
 
   // computed fields
   totalFlow: { type: Number, default: 0 },
   avgGCV: { type: Number, default: 0 },
+  gcvBasis: { type: String, default: 'ARB' },            // basis of avgGCV / blendedGCVPerMill
   avgAFT: { type: Number, default: null },
-  heatRate: { type: Number, default: null },
-  costRate: { type: Number, default: 0 },
-  aftPerMill: { type: [Number], default: [] },           // length = 6
-  blendedGCVPerMill: { type: [Number], default: [] },    // length = 6
+  heatRate: { type: Number, default: null },             // deprecated, see performance
+  // station heat rate / specific coal consumption / efficiencies (see stationPerformance)
+  performance: { type: mongoose.Schema.Types.Mixed, default: null },
+  costRate: { type: Number, default: 0 },                // fuel cost per tonne burned (flow-weighted)
+  costPerMill: { type: [Number], default: [] },          // cost per tonne of each mill's feed
+  fuelCostPerHour: { type: Number, default: null },
+  fuelCostPerMWh: { type: Number, default: null },
+  aftPerMill: { type: [Number], default: [] },           // length = millCount
+  blendedGCVPerMill: { type: [Number], default: [] },    // length = millCount
+  // { ARB|ADB|DB|DAF: { perMill, avg } } and the coals whose gcv could not be converted
+  blendedGCVByBasis: { type: mongoose.Schema.Types.Mixed, default: null },
+  gcvConversionIssues: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  moisturePerMill: { type: [Number], default: [] },      // total moisture %, null = no data
+  ashPerMill: { type: [Number], default: [] },
+  volatileMatterPerMill: { type: [Number], default: [] },
+  fixedCarbonPerMill: { type: [Number], default: [] },
+  hgiPerMill: { type: [Number], default: [] },
+  carbonPerMill: { type: [Number], default: [] },
+  sulphurPerMill: { type: [Number], default: [] },       // SulphurS %, null = no data
+  // ash deposition indices (see ashIndices): per mill, and flow-weighted for the unit
+  baseAcidRatioPerMill: { type: [Number], default: [] },
+  slaggingIndexPerMill: { type: [Number], default: [] },
+  foulingIndexPerMill: { type: [Number], default: [] },
+  silicaRatioPerMill: { type: [Number], default: [] },
+  feCaRatioPerMill: { type: [Number], default: [] },
+  avgBaseAcidRatio: { type: Number, default: null },
+  avgSlaggingIndex: { type: Number, default: null },
+  avgFoulingIndex: { type: Number, default: null },
+  avgSilicaRatio: { type: Number, default: null },
+  avgFeCaRatio: { type: Number, default: null },
+  // SO2 / ash / CO2 estimates (see blendEmissions) and the settings they used
+  emissions: { type: mongoose.Schema.Types.Mixed, default: null },
+  // AFT correlation (name + coefficients) that produced avgAFT / aftPerMill
+  aftModel: { type: mongoose.Schema.Types.Mixed, default: null },
+  // rows whose coal reference matched no coal name/alias/id when the metrics were computed
+  unresolvedCoalRefs: { type: [mongoose.Schema.Types.Mixed], default: [] },
 
   createdAt: { type: Date, default: Date.now }
 });
@@ -112,10 +300,84 @@ const Blend = mongoose.model('Blend', BlendSchema);
 const UnitMapSchema = new mongoose.Schema({
   unit: { type: Number, required: true, unique: true }, // 1,2,3
   blendId: { type: mongoose.Schema.Types.ObjectId, ref: 'Blend', required: true },
+  millCount: { type: Number, default: DEFAULT_MILL_COUNT }, // mills/bunkers on this unit
+  aftModel: { type: String, default: null },            // AFT correlation name, null = default
+  emissionSettings: { type: mongoose.Schema.Types.Mixed, default: null }, // see EMISSION_DEFAULTS
+  bunkerDischarge: { type: [mongoose.Schema.Types.Mixed], default: [] }, // per bunker { model, mixingZonePct }
+  millStatus: { type: [mongoose.Schema.Types.Mixed], default: [] },      // per mill { status, reason, since }
+  millRatedTph: { type: [Number], default: [] },                          // per mill rated coal flow, null = unrated
+  redistributeFlow: { type: Boolean, default: false },                    // spread stopped mills' flow (see effectiveFlows)
 }, { timestamps: true });
 
 const UnitMap = mongoose.models.UnitMap || mongoose.model('UnitMap', UnitMapSchema);
 
+function parseMillCount(v) {
+  const n = Number(v);
+  return (Number.isInteger(n) && n >= 1 && n <= MAX_MILL_COUNT) ? n : null;
+}
+
+// empty blend for a unit with `millCount` mills
+function starterBlend(millCount = DEFAULT_MILL_COUNT) {
+  return {
+    rows: Array.from({ length: NUM_COAL_ROWS }, () => ({ coal: '', percentages: Array(millCount).fill(0), gcv: 0, cost: 0})),
+    flows: Array(millCount).fill(0),
+    generation: 0,
+    millCount,
+    bunkerCapacity: 0,
+    bunkerCapacities: Array(millCount).fill(0)
+  };
+}
+
+async function millCountForUnit(unit) {
+  const map = unit ? await UnitMap.findOne({ unit }).lean() : null;
+  return (map && parseMillCount(map.millCount)) || DEFAULT_MILL_COUNT;
+}
+
+// mill count for a request: the unit's when given, else body.millCount (null when invalid)
+async function requestMillCount(body, unit) {
+  if (unit) return millCountForUnit(unit);
+  if (!body || body.millCount === undefined || body.millCount === null) return DEFAULT_MILL_COUNT;
+  return parseMillCount(body.millCount);
+}
+
+// mill index -> "Mill A", "Mill B", ... in every message and label that names a mill
+const millLabel = m => `Mill ${String.fromCharCode(65 + m)}`;
+
+/**
+ * Shape checks for a blend payload against the unit's mill count: no flow or percentage
+ * beyond the last mill, and no mill whose percentages add up to more than 100.
+ */
+function validateBlendShape(rows, flows, millCount) {
+  const errors = [];
+  (flows || []).forEach((f, m) => {
+    if (m >= millCount && (Number(f) || 0) !== 0) errors.push(`flows[${m}]: unit has only ${millCount} mills`);
+  });
+  const totals = new Array(millCount).fill(0);
+  (rows || []).forEach((row, i) => {
+    const perc = (row && Array.isArray(row.percentages)) ? row.percentages : [];
+    perc.forEach((v, m) => {
+      const n = Number(v) || 0;
+      if (m >= millCount) { if (n !== 0) errors.push(`rows[${i}].percentages[${m}]: unit has only ${millCount} mills`); return; }
+      totals[m] += n;
+    });
+  });
+  totals.forEach((t, m) => { if (t > 100 + 1e-6) errors.push(`${millLabel(m)}: percentages total ${t}% (max 100)`); });
+  return errors;
+}
+
+// body.millCounts: { "1": 6, "2": 8, ... } -> { unit: count } (invalid entries -> error list)
+function parseUnitMillCounts(millCounts, fallback = {}) {
+  const counts = {};
+  const errors = [];
+  [1,2,3].forEach(u => {
+    const raw = millCounts ? millCounts[String(u)] : undefined;
+    if (raw === undefined || raw === null) { counts[u] = fallback[u] || DEFAULT_MILL_COUNT; return; }
+    counts[u] = parseMillCount(raw);
+    if (!counts[u]) errors.push(`millCounts.${u} must be an integer 1..${MAX_MILL_COUNT}`);
+  });
+  return { counts, errors };
+}
+
 // GET mapping: returns { "1": "<id1>", "2": "<id2>", "3": "<id3>" } if exists or {}.
 app.get('/api/units', async (req, res) => {
   try {
@@ -141,25 +403,20 @@ app.post('/api/units/init', async (req, res) => {
       return res.status(200).json({ message: 'Already initialized', map });
     }
 
-    // Build 3 starter blend documents (minimal payload)
-    const starter = {
-      rows: Array.from({ length: (process.env.NUM_COAL_ROWS ? Number(process.env.NUM_COAL_ROWS) : 5) }, () => ({ coal: '', percentages: Array(8).fill(0), gcv: 0, cost: 0})),
-      flows: Array(8).fill(0),
-      generation: 0,
-      bunkerCapacity: 0,
-      bunkerCapacities: Array(8).fill(0)
-    };
+    // mills per unit: body.millCounts { "1": 6, ... }, default DEFAULT_MILL_COUNT
+    const { counts, errors } = parseUnitMillCounts(req.body && req.body.millCounts);
+    if (errors.length) return res.status(400).json({ error: 'Validation failed', errors });
 
-    // Create three blends
+    // Create three blends (minimal payload)
     const created = [];
     for (let u = 1; u <= 3; u++) {
-      const b = new Blend(Object.assign({}, starter, { ts: Date.now() }));
+      const b = new Blend(Object.assign({}, starterBlend(counts[u]), { ts: Date.now() }));
       await b.save();
       created.push({ unit: u, id: b._id });
     }
 
     // Persist UnitMap entries
-    const ops = created.map(c => ({ updateOne: { filter: { unit: c.unit }, update: { unit: c.unit, blendId: c.id }, upsert: true } }));
+    const ops = created.map(c => ({ updateOne: { filter: { unit: c.unit }, update: { unit: c.unit, blendId: c.id, millCount: counts[c.unit] }, upsert: true } }));
     if (ops.length) await UnitMap.bulkWrite(ops);
 
     const map = {};
@@ -180,10 +437,24 @@ app.put('/api/units/:unit', async (req, res) => {
     if (!blendId) return res.status(400).json({ error: 'blendId required' });
 
     // optional: validate blend exists
-    const b = await Blend.findById(blendId);
+    const b = mongoose.isValidObjectId(blendId) ? await Blend.findById(blendId).lean() : null;
     if (!b) return res.status(404).json({ error: 'Blend not found' });
 
+    // the blend taken off the unit is charged up to now and stops accruing; the new one starts now
+    const now = new Date();
+    const current = await UnitMap.findOne({ unit }).lean();
+    if (current && String(current.blendId) !== String(b._id)) {
+      const old = await Blend.findById(current.blendId).lean();
+      if (old) {
+        await accrueBlendConsumption(old, unit, now);
+        await Blend.updateOne({ _id: old._id }, { $set: { consumptionAccruedAt: null } });
+      }
+    }
+    await accrueBlendConsumption(b, unit, now);
+
     const entry = await UnitMap.findOneAndUpdate({ unit }, { unit, blendId }, { upsert: true, new: true }).lean();
+    // the blend now burns under this unit's mill statuses
+    await applyEffectiveFlows(entry, unit, now);
     return res.json({ message: 'Mapping updated', unit: entry.unit, blendId: String(entry.blendId) });
   } catch (err) {
     console.error('PUT /api/units/:unit error', err);
@@ -198,6 +469,11 @@ app.delete('/api/units/reset', async (req, res) => {
     // find existing maps
     const existing = await UnitMap.find({}).lean();
     const blendIds = existing.map(x => x.blendId).filter(Boolean);
+    // mill counts survive the reset unless body.millCounts overrides them
+    const previousCounts = {};
+    existing.forEach(x => { previousCounts[x.unit] = x.millCount; });
+    const { counts, errors } = parseUnitMillCounts(req.body && req.body.millCounts, previousCounts);
+    if (errors.length) return res.status(400).json({ error: 'Validation failed', errors });
     // delete the mapping entries
     await UnitMap.deleteMany({});
     // Optionally delete the actual Blend docs associated
@@ -205,21 +481,13 @@ app.delete('/api/units/reset', async (req, res) => {
       await Blend.deleteMany({ _id: { $in: blendIds } });
     }
     // Now create new three blends (re-use /api/units/init logic)
-    // create three minimal blends
-    const starter = {
-      rows: Array.from({ length: (process.env.NUM_COAL_ROWS ? Number(process.env.NUM_COAL_ROWS) : 5) }, () => ({ coal: '', percentages: Array(8).fill(0), gcv: 0, cost: 0})),
-      flows: Array(8).fill(0),
-      generation: 0,
-      bunkerCapacity: 0,
-      bunkerCapacities: Array(8).fill(0)
-    };
     const created = [];
     for (let u = 1; u <= 3; u++) {
-      const b = new Blend(Object.assign({}, starter, { ts: Date.now() }));
+      const b = new Blend(Object.assign({}, starterBlend(counts[u]), { ts: Date.now() }));
       await b.save();
       created.push({ unit: u, id: b._id });
     }
-    const ops = created.map(c => ({ updateOne: { filter: { unit: c.unit }, update: { unit: c.unit, blendId: c.id }, upsert: true } }));
+    const ops = created.map(c => ({ updateOne: { filter: { unit: c.unit }, update: { unit: c.unit, blendId: c.id, millCount: counts[c.unit] }, upsert: true } }));
     if (ops.length) await UnitMap.bulkWrite(ops);
     const map = {};
     created.forEach(c => { map[String(c.unit)] = String(c.id); });
@@ -230,317 +498,3407 @@ app.delete('/api/units/reset', async (req, res) => {
   }
 });
 
-/* -------------------- Upload (Excel -> Coal collection) -------------------- */
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
-
-app.post('/api/upload-coal', upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-
-    const workbook = xlsx.read(req.file.buffer, { type: 'buffer' });
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const jsonData = xlsx.utils.sheet_to_json(worksheet);
-
-    const coalData = jsonData.map(item => ({
-      coal: item['Coal'] || item['coal'] || item['Name'] || '',
-      SiO2: item['SiO2'] || item['SiO₂'] || 0,
-      Al2O3: item['Al2O3'] || item['Al₂O₃'] || 0,
-      Fe2O3: item['Fe2O3'] || item['Fe₂O₃'] || 0,
-      CaO: item['CaO'] || 0,
-      MgO: item['MgO'] || 0,
-      Na2O: item['Na2O'] || 0,
-      K2O: item['K2O'] || 0,
-      TiO2: item['TiO2'] || 0,
-      SO3: item['SO3'] || 0,
-      P2O5: item['P2O5'] || 0,
-      Mn3O4: item['Mn3O4'] || item['MN3O4'] || 0,
-      SulphurS: item['Sulphur'] || item['SulphurS'] || 0,
-      gcv: item['GCV'] || item['gcv'] || 0,
-      cost: item['Cost'] || item['cost'] || 0,
-      color: item['Color'] || item['color'] || item['colour'] || item['hex'] || ''
-    }));
-
-    // Replace existing coals with new upload (adjust if you prefer merge)
-    await Coal.deleteMany();
-    await Coal.insertMany(coalData);
-
-    return res.json({ message: 'Coal data uploaded and saved to DB successfully' });
-  } catch (err) {
-    console.error('Error uploading coal data:', err);
-    return res.status(500).json({ error: 'Failed to process Excel file' });
-  }
-});
-
-/* -------------------- Coal GET endpoints (client expects these) -------------------- */
-app.get('/api/coal', async (req, res) => {
-  try {
-    const items = await Coal.find().lean();
-    return res.json(items);
-  } catch (err) {
-    console.error('GET /api/coal error:', err);
-    return res.status(500).json({ error: err.message || 'Server error' });
-  }
-});
-app.get('/api/coals', async (req, res) => {
-  try {
-    const items = await Coal.find().lean();
-    return res.json(items);
-  } catch (err) {
-    console.error('GET /api/coals error:', err);
-    return res.status(500).json({ error: err.message || 'Server error' });
-  }
-});
-app.get('/api/coal/list', async (req, res) => {
+// GET -> { unit, millCount }
+app.get('/api/units/:unit/mills', async (req, res) => {
   try {
-    const items = await Coal.find().lean();
-    return res.json(items);
+    const unit = Number(req.params.unit || 0);
+    if (![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+    return res.json({ unit, millCount: await millCountForUnit(unit), maxMillCount: MAX_MILL_COUNT });
   } catch (err) {
-    console.error('GET /api/coal/list error:', err);
+    console.error('GET /api/units/:unit/mills error', err);
     return res.status(500).json({ error: err.message || 'Server error' });
   }
 });
-app.get('/api/coalnames', async (req, res) => {
+
+// PUT { millCount } -> declare the unit's mills; the unit blend's arrays are resized to match.
+// Removing mills that still carry flow or percentages is refused (409).
+app.put('/api/units/:unit/mills', async (req, res) => {
   try {
-    // minimal payload: _id and coal name
-    const items = await Coal.find({}, { coal: 1 }).lean();
-    return res.json(items);
+    const unit = Number(req.params.unit || 0);
+    if (![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+    const millCount = parseMillCount(req.body && req.body.millCount);
+    if (!millCount) return res.status(400).json({ error: `millCount must be an integer 1..${MAX_MILL_COUNT}` });
+
+    const map = await UnitMap.findOne({ unit }).lean();
+    if (!map) return res.status(404).json({ error: 'Unit not initialized' });
+    const blend = await Blend.findById(map.blendId).lean();
+
+    if (blend) {
+      const inUse = [];
+      for (let m = millCount; m < MAX_MILL_COUNT; m++) {
+        const flow = Number((blend.flows || [])[m]) || 0;
+        const pct = (blend.rows || []).some(r => Number((r.percentages || [])[m]) > 0);
+        if (flow > 0 || pct) inUse.push(m);
+      }
+      if (inUse.length) {
+        return res.status(409).json({ error: 'Mills to remove are still in use', mills: inUse });
+      }
+      const resize = arr => Array.from({ length: millCount }, (v, m) => Number((arr || [])[m]) || 0);
+      await Blend.updateOne({ _id: blend._id }, { $set: {
+        millCount,
+        flows: resize(blend.flows),
+        bunkerCapacities: resize(blend.bunkerCapacities),
+        rows: (blend.rows || []).map(r => Object.assign({}, r, { percentages: resize(r.percentages) })),
+        bunkers: Array.from({ length: millCount }, (v, m) => (blend.bunkers || [])[m] || { layers: [] })
+      } });
+    }
+    await UnitMap.updateOne({ unit }, { $set: { millCount } });
+    return res.json({ message: 'Mill count updated', unit, millCount });
   } catch (err) {
-    console.error('GET /api/coalnames error:', err);
+    console.error('PUT /api/units/:unit/mills error', err);
     return res.status(500).json({ error: err.message || 'Server error' });
   }
 });
 
-/* -------------------- Server-side AFT formula -------------------- */
-function calcAFT(ox) {
-  // ox: { SiO2, Al2O3, Fe2O3, CaO, MgO, Na2O, K2O, SO3, TiO2 }
-  const total = Object.keys(ox || {}).reduce((s, k) => s + (Number(ox[k]) || 0), 0);
-  if (total === 0) return 0;
-  const SiO2 = Number(ox.SiO2) || 0;
-  const Al2O3 = Number(ox.Al2O3) || 0;
-  const Fe2O3 = Number(ox.Fe2O3) || 0;
-  const CaO = Number(ox.CaO) || 0;
-  const MgO = Number(ox.MgO) || 0;
-  const Na2O = Number(ox.Na2O) || 0;
-  const K2O = Number(ox.K2O) || 0;
-  const SO3 = Number(ox.SO3) || 0;
-  const TiO2 = Number(ox.TiO2) || 0;
-
-  const sum = SiO2 + Al2O3;
-  let aft = 0;
-  if (sum < 55) {
-    aft = 1245 + (1.1 * SiO2) + (0.95 * Al2O3) - (2.5 * Fe2O3) - (2.98 * CaO) - (4.5 * MgO)
-      - (7.89 * (Na2O + K2O)) - (1.7 * SO3) - (0.63 * TiO2);
-  } else if (sum < 75) {
-    aft = 1323 + (1.45 * SiO2) + (0.683 * Al2O3) - (2.39 * Fe2O3) - (3.1 * CaO) - (4.5 * MgO)
-      - (7.49 * (Na2O + K2O)) - (2.1 * SO3) - (0.63 * TiO2);
-  } else {
-    aft = 1395 + (1.2 * SiO2) + (0.9 * Al2O3) - (2.5 * Fe2O3) - (3.1 * CaO) - (4.5 * MgO)
-      - (7.2 * (Na2O + K2O)) - (1.7 * SO3) - (0.63 * TiO2);
-  }
-  return Number(aft);
+/* -------------------- Upload (Excel -> Coal collection) -------------------- */
+const storage = multer.memoryStorage();
+const upload = multer({ storage: storage });
+
+// coal fields compared when merging an upload into the existing master
+const COAL_FIELDS = ['aliases','SiO2','Al2O3','Fe2O3','CaO','MgO','Na2O','K2O','TiO2','SO3','P2O5','Mn3O4','SulphurS','totalMoisture','inherentMoisture','ash','volatileMatter','fixedCarbon','hgi','carbon','gcv','gcvBasis','cost','color'];
+const COAL_OXIDE_FIELDS = ['SiO2','Al2O3','Fe2O3','CaO','MgO','Na2O','K2O','TiO2','SO3','P2O5','Mn3O4'];
+// proximate (%), HGI and ultimate carbon (%): optional, a blank cell is stored as null rather than 0
+const COAL_PROXIMATE_FIELDS = ['totalMoisture','inherentMoisture','ash','volatileMatter','fixedCarbon','hgi','carbon'];
+const COAL_NUMERIC_FIELDS = COAL_OXIDE_FIELDS.concat(['SulphurS'], COAL_PROXIMATE_FIELDS, ['gcv','cost']);
+
+// accepted spreadsheet headers (first non-empty match wins) for each Coal field
+const COAL_COLUMNS = {
+  coal: ['Coal','coal','Name'],
+  aliases: ['Aliases','aliases','Alias','Also Known As'],
+  SiO2: ['SiO2','SiO₂'],
+  Al2O3: ['Al2O3','Al₂O₃'],
+  Fe2O3: ['Fe2O3','Fe₂O₃'],
+  CaO: ['CaO'],
+  MgO: ['MgO'],
+  Na2O: ['Na2O'],
+  K2O: ['K2O'],
+  TiO2: ['TiO2'],
+  SO3: ['SO3'],
+  P2O5: ['P2O5'],
+  Mn3O4: ['Mn3O4','MN3O4'],
+  SulphurS: ['Sulphur','SulphurS'],
+  totalMoisture: ['TM','Total Moisture','totalMoisture','Moisture'],
+  inherentMoisture: ['IM','Inherent Moisture','inherentMoisture','ADB Moisture'],
+  ash: ['Ash','ash','Ash %'],
+  volatileMatter: ['VM','Volatile Matter','volatileMatter'],
+  fixedCarbon: ['FC','Fixed Carbon','fixedCarbon'],
+  hgi: ['HGI','hgi','Hardgrove'],
+  carbon: ['C','Carbon','carbon','Carbon %','Ultimate C'],
+  gcv: ['GCV','gcv'],
+  gcvBasis: ['GCV Basis','gcvBasis','Basis'],
+  cost: ['Cost','cost'],
+  color: ['Color','color','colour','hex']
+};
+
+// optional lot / analysis metadata columns (stored on the coal's analysis history)
+const ANALYSIS_META_COLUMNS = {
+  lotId: ['Lot','Lot ID','LotId','lotId','Rake'],
+  sampledAt: ['Sampling Date','Sampled At','sampledAt'],
+  effectiveFrom: ['Effective From','effectiveFrom']
+};
+
+// header compare ignoring case, spaces, underscores, dots, dashes and a trailing unit like "(%)"
+function headerKey(h) {
+  return String(h || '').toLowerCase().replace(/\(.*?\)|%/g, '').replace(/[\s_.\-]/g, '');
 }
 
-/* -------------------- compute blend metrics (per-mill aware) -------------------- */
-async function computeBlendMetrics(rows, flows, generation, coalColorMap = {}) {
-  // rows: array (each row may have: coal (string or object), percentages[], gcv, cost)
-  const oxKeys = ["SiO2","Al2O3","Fe2O3","CaO","MgO","Na2O","K2O","SO3","TiO2"];
+// first header of `aliases` present (non-empty) in `src`: exact match first, then headerKey() match
+function findHeader(src, aliases) {
+  if (!src || typeof src !== 'object') return undefined;
+  const exact = aliases.find(h => !isBlank(src[h]));
+  if (exact !== undefined) return exact;
+  const wanted = new Set(aliases.map(headerKey));
+  return Object.keys(src).find(k => wanted.has(headerKey(k)) && !isBlank(src[k]));
+}
 
-  // Load all coal docs once
-  const allCoals = await Coal.find().lean();
-  const byId = {};
-  const byNameLower = {};
-  allCoals.forEach(c => {
-    if (c._id) byId[String(c._id)] = c;
-    if (c.coal) byNameLower[String(c.coal).toLowerCase()] = c;
+/**
+ * Merge extra header aliases ({ field: 'Header' | ['Header', ...] }) in front of the
+ * built-in COAL_COLUMNS / ANALYSIS_META_COLUMNS. Unknown fields are ignored.
+ */
+function buildColumnTable(...extras) {
+  const table = {};
+  const base = Object.assign({}, COAL_COLUMNS, ANALYSIS_META_COLUMNS);
+  Object.keys(base).forEach(field => {
+    const merged = [];
+    extras.forEach(extra => {
+      const v = extra && extra[field];
+      (Array.isArray(v) ? v : (v ? [v] : [])).forEach(h => { if (!isBlank(h)) merged.push(String(h).trim()); });
+    });
+    table[field] = merged.concat(base[field]).filter((h, i, arr) => arr.indexOf(h) === i);
   });
+  return table;
+}
 
-  function findCoalRef(ref) {
-    if (!ref) return null;
-    if (byId[String(ref)]) return byId[String(ref)];
-    const lower = String(ref).toLowerCase();
-    if (byNameLower[lower]) return byNameLower[lower];
-    return null;
-  }
+// Date cells arrive as Date (cellDates), ISO/locale strings or epoch millis
+function parseDateValue(v) {
+  if (isBlank(v)) return null;
+  const d = (v instanceof Date) ? v : new Date(typeof v === 'number' ? v : String(v).trim());
+  return isNaN(d.getTime()) ? undefined : d;
+}
 
-  // helper to get per-mill coalRef from row (row.coal may be string or object)
-  function coalRefForRowAndMill(row, mill) {
-    if (!row) return null;
-    if (row.coal && typeof row.coal === 'object' && row.coal !== null) {
-      return row.coal[String(mill)] || '';
-    }
-    return row.coal || '';
+// oxide analyses are expected to add up to roughly 100%
+const OXIDE_TOTAL_TOLERANCE = 5;
+
+// same normalisation as the client's normalizeHex(): "#abc" / "abc" -> "#aabbcc"
+function normalizeHex(h) {
+  if (!h) return null;
+  h = String(h).trim();
+  if (!h) return null;
+  if (!h.startsWith('#')) h = '#' + h;
+  const short = h.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/i);
+  if (short) h = '#' + short[1] + short[1] + short[2] + short[2] + short[3] + short[3];
+  return h.toLowerCase();
+}
+
+function isBlank(v) {
+  return v === undefined || v === null || String(v).trim() === '';
+}
+
+/**
+ * Map one input record (a spreadsheet row or an API body) to the Coal document shape
+ * and validate it. Returns { doc, meta, issues } where `meta` is the lot metadata
+ * ({ lotId, sampledAt, effectiveFrom }) and each issue is
+ * { field, column, severity: 'error'|'warning', problem, value }.
+ * `column` is the header / key the value was read from.
+ * effectiveFrom must not be in the future unless `allowFutureEffective` is set.
+ * `options.columns` overrides the header table (see buildColumnTable()).
+ */
+function parseCoalInput(src, options = {}) {
+  const tolerance = (options.oxideTolerance !== undefined) ? Number(options.oxideTolerance) : OXIDE_TOTAL_TOLERANCE;
+  const columns = options.columns || buildColumnTable();
+  const doc = {};
+  const issues = [];
+  const columnOf = {};
+
+  function issue(field, severity, problem, value) {
+    issues.push({ field, column: columnOf[field] || (columns[field] || [field])[0], severity, problem, value: (value === undefined ? null : value) });
   }
 
-  // Helper to resolve a colour for a coal reference / coalDoc
-  function resolveColorForCoal(coalRef, coalDoc) {
-    // 1) prefer DB coalDoc.color
-    if (coalDoc && coalDoc.color) {
-      return String(coalDoc.color).trim();
-    }
+  Object.keys(COAL_COLUMNS).forEach(field => {
+    const header = findHeader(src, columns[field]);
+    if (header) columnOf[field] = header;
+    const raw = header ? src[header] : undefined;
 
-    // Normalize helpers
-    const tryKeys = k => {
-      if (!k && k !== 0) return null;
-      if (coalColorMap == null) return null;
-      if (coalColorMap[k]) return coalColorMap[k];
-      return null;
-    };
+    if (field === 'coal') {
+      doc.coal = isBlank(raw) ? '' : String(raw).trim();
+      if (!doc.coal) issue('coal', 'error', 'coal name is empty', raw);
+      return;
+    }
 
-    // 2) try keys related to the coalDoc._id
-    if (coalDoc && coalDoc._id) {
-      const idStr = String(coalDoc._id);
-      // common client maps may store "id:<id>" or raw id
-      const v1 = tryKeys(`id:${idStr}`) || tryKeys(idStr);
-      if (v1) return String(v1).trim();
+    if (field === 'aliases') {
+      doc.aliases = isBlank(raw) ? [] : parseAliases(raw);
+      return;
     }
 
-    // 3) try keys related to the coalRef value (name or id)
-    if (coalRef) {
-      const refStr = String(coalRef);
-      const v2 = tryKeys(`name:${refStr}`) || tryKeys(refStr);
-      if (v2) return String(v2).trim();
+    if (field === 'gcvBasis') {
+      const basis = normalizeGcvBasis(raw);
+      if (basis === null) issue('gcvBasis', 'error', `unknown GCV basis (expected ${GCV_BASES.join(', ')})`, raw);
+      doc.gcvBasis = basis || DEFAULT_GCV_BASIS;
+      return;
+    }
 
-      const lowerRef = refStr.toLowerCase();
-      const v3 = tryKeys(lowerRef);
-      if (v3) return String(v3).trim();
+    if (field === 'color') {
+      if (isBlank(raw)) { doc.color = ''; return; }
+      const hex = normalizeHex(raw);
+      if (!/^#[0-9a-f]{6}$/.test(hex)) issue('color', 'error', 'invalid colour hex (expected #rgb or #rrggbb)', raw);
+      doc.color = hex;
+      return;
     }
 
-    // 4) try byNameLower lookup value's color (if earlier lookups didn't have color)
-    if (coalRef) {
-      const byNameEntry = byNameLower[String(coalRef).toLowerCase()];
-      if (byNameEntry && byNameEntry.color) return String(byNameEntry.color).trim();
+    // numeric fields
+    if (isBlank(raw)) {
+      if (COAL_PROXIMATE_FIELDS.includes(field)) { doc[field] = null; return; }
+      doc[field] = 0;
+      if (field === 'gcv' || field === 'cost') issue(field, 'warning', 'missing value, treated as 0', raw);
+      return;
     }
+    const num = Number(typeof raw === 'string' ? raw.trim() : raw);
+    if (!isFinite(num)) {
+      doc[field] = 0;
+      issue(field, 'error', 'not a number', raw);
+      return;
+    }
+    if (num < 0) issue(field, 'error', 'negative value', num);
+    else if (field !== 'hgi' && COAL_PROXIMATE_FIELDS.includes(field) && num > 100) issue(field, 'error', 'percentage above 100', num);
+    doc[field] = num;
+  });
 
-    // no color found
-    return '';
+  const oxideTotal = COAL_OXIDE_FIELDS.reduce((s, f) => s + (Number(doc[f]) || 0), 0);
+  if (Math.abs(oxideTotal - 100) > tolerance) {
+    issue('oxides', 'error', `oxide total ${oxideTotal.toFixed(2)}% is outside 100 ± ${tolerance}%`, Number(oxideTotal.toFixed(2)));
   }
 
-  const blendedGCVPerMill = [];
-  const aftPerMill = [];
-
-  for (let m = 0; m < 8; m++) {
-    let blendedGCV = 0;
-    const ox = {};
-    oxKeys.forEach(k => ox[k] = 0);
+  const meta = {};
+  Object.keys(ANALYSIS_META_COLUMNS).forEach(field => {
+    const header = findHeader(src, columns[field]);
+    if (!header) return;
+    columnOf[field] = header;
+    if (field === 'lotId') { meta.lotId = String(src[header]).trim(); return; }
+    const d = parseDateValue(src[header]);
+    if (d === undefined) { issue(field, 'error', 'not a valid date', src[header]); return; }
+    meta[field] = d;
+  });
+  if (meta.effectiveFrom && !options.allowFutureEffective && meta.effectiveFrom.getTime() > Date.now()) {
+    issue('effectiveFrom', 'error', 'effective-from date is in the future (add future lots via /api/coal/:id/analyses)', meta.effectiveFrom);
+  }
 
-    for (let i = 0; i < (rows ? rows.length : 0); i++) {
-      const row = rows[i] || {};
-      const perc = (Array.isArray(row.percentages) && row.percentages[m]) ? Number(row.percentages[m]) : 0;
-      const weight = perc / 100;
+  return { doc, meta, issues };
+}
 
-      // resolve per-mill coalRef if supplied
-      const coalRef = coalRefForRowAndMill(row, m);
-      const coalDoc = findCoalRef(coalRef);
+/**
+ * Validate every uploaded record ({ item, row, sheet } from readCoalRecords()).
+ * Returns { accepted, rejectedKeys, report } where `accepted` holds the documents without errors
+ * (each seeded with its analysis history entry), `rejectedKeys` the coalNameKey of every rejected
+ * row ('' when it has no name) and `report` lists each problem by sheet, row number and column.
+ */
+function validateCoalRows(records, options = {}) {
+  const accepted = [];
+  const rejectedKeys = [];
+  const errors = [];
+  const warnings = [];
+  const firstSeen = {};
 
-      // gcv: prefer explicit row.gcv (global) else coalDoc.gcv
-      const gcvVal = (row.gcv !== undefined && row.gcv !== null && row.gcv !== '') ? Number(row.gcv) : (coalDoc ? (Number(coalDoc.gcv) || 0) : 0);
-      blendedGCV += gcvVal * weight;
+  records.forEach(({ item, row, sheet }) => {
+    const { doc, meta, issues } = parseCoalInput(item, options);
+    doc.analyses = [snapshotAnalysis(doc, meta)];
 
-      // accumulate oxides from coalDoc if present (or from row(if provided))
-      if (coalDoc) {
-        oxKeys.forEach(k => {
-          ox[k] += (Number(coalDoc[k]) || 0) * weight;
-        });
+    const key = coalNameKey(doc.coal);
+    if (key) {
+      if (firstSeen[key]) {
+        const where = (firstSeen[key].sheet && firstSeen[key].sheet !== sheet) ? `sheet ${firstSeen[key].sheet} row ${firstSeen[key].row}` : `row ${firstSeen[key].row}`;
+        issues.push({ field: 'coal', column: findHeader(item, (options.columns || COAL_COLUMNS).coal) || 'Coal', severity: 'error', problem: `duplicate coal name (first seen on ${where})`, value: doc.coal });
       } else {
-        oxKeys.forEach(k => {
-          if (row[k] !== undefined && row[k] !== null && row[k] !== '') {
-            ox[k] += (Number(row[k]) || 0) * weight;
-          }
-        });
+        firstSeen[key] = { row, sheet };
       }
-    } // rows loop
+    }
 
-    blendedGCVPerMill.push(Number(blendedGCV));
-    const oxTotal = Object.values(ox).reduce((s, v) => s + (Number(v) || 0), 0);
-    const aftVal = (oxTotal === 0) ? null : Number(calcAFT(ox));
-    aftPerMill.push(aftVal);
-  } // mills loop
+    let hasError = false;
+    issues.forEach(i => {
+      const entry = Object.assign(sheet ? { sheet, row } : { row }, i);
+      if (i.severity === 'error') { hasError = true; errors.push(entry); } else warnings.push(entry);
+    });
+    if (!hasError) accepted.push(doc);
+    else rejectedKeys.push(key || '');
+  });
 
-  // totals & weighted averages using flows
-  let totalFlow = 0;
-  let weightedGCV = 0;
-  let weightedAFT = 0;
-  let contributedAFTFlow = 0;
+  return {
+    accepted,
+    rejectedKeys,
+    report: {
+      rows: records.length,
+      accepted: accepted.length,
+      rejected: records.length - accepted.length,
+      errors,
+      warnings
+    }
+  };
+}
 
-  for (let m = 0; m < 8; m++) {
-    const flow = (Array.isArray(flows) && flows[m]) ? Number(flows[m]) : 0;
-    totalFlow += flow;
-    weightedGCV += flow * (blendedGCVPerMill[m] || 0);
+/**
+ * Turn an upload into a flat list of { item, row, sheet } records.
+ * - .csv / text/csv               -> single sheet parsed by xlsx
+ * - .json / application/json      -> array of objects (or { coals: [...] })
+ * - JSON request body (no file)   -> same as .json
+ * - anything else                 -> workbook; `sheet` picks one sheet by name or 1-based
+ *                                    index (default first), `sheet=*` imports every sheet
+ * Returns { records, format, sheets } or { error, status } for a bad request.
+ */
+function readCoalRecords(req, opts) {
+  function fromJsonArray(data) {
+    const arr = Array.isArray(data) ? data : (data && Array.isArray(data.coals) ? data.coals : null);
+    if (!arr) return { error: 'JSON must be an array of coal objects (or { coals: [...] })', status: 400 };
+    return { format: 'json', sheets: [], records: arr.map((item, idx) => ({ item, row: idx + 1, sheet: null })) };
+  }
 
-    const aftVal = aftPerMill[m];
-    if (aftVal !== null && !isNaN(aftVal)) {
-      weightedAFT += flow * aftVal;
-      contributedAFTFlow += flow;
-    }
+  if (!req.file) {
+    if (Array.isArray(req.body) || (req.body && Array.isArray(req.body.coals))) return fromJsonArray(req.body);
+    return { error: 'No file uploaded', status: 400 };
   }
 
-  const avgGCV = totalFlow > 0 ? (weightedGCV / totalFlow) : 0;
-  const avgAFT = contributedAFTFlow > 0 ? (weightedAFT / contributedAFTFlow) : null;
-  const heatRate = (generation && generation > 0 && totalFlow > 0) ? ((totalFlow * avgGCV) / generation) : null;
+  const name = String(req.file.originalname || '').toLowerCase();
+  const mime = String(req.file.mimetype || '').toLowerCase();
 
-  // compute cost rate (weighted by sum of percentages per row)
-  function rowQtySum(row) {
-    if (!row || !Array.isArray(row.percentages)) return 0;
-    return row.percentages.reduce((s, v) => s + (Number(v) || 0), 0);
+  if (name.endsWith('.json') || mime === 'application/json') {
+    let data;
+    try { data = JSON.parse(req.file.buffer.toString('utf8')); } catch (e) { return { error: 'Invalid JSON file: ' + e.message, status: 400 }; }
+    return fromJsonArray(data);
   }
-  const qtyPerRow = (rows || []).map(rowQtySum);
-  const costPerRow = (rows || []).map((r, idx) => {
-    if (r && r.cost !== undefined && r.cost !== null && r.cost !== '') return Number(r.cost) || 0;
-    const cdoc = findCoalRef((r || {}).coal);
-    return cdoc ? (Number(cdoc.cost) || 0) : 0;
-  });
 
-  let totalCost = 0, totalQty = 0;
-  for (let i = 0; i < qtyPerRow.length; i++) {
-    totalCost += (qtyPerRow[i] || 0) * (costPerRow[i] || 0);
-    totalQty += (qtyPerRow[i] || 0);
+  const isCsv = name.endsWith('.csv') || mime === 'text/csv';
+  const workbook = isCsv
+    ? xlsx.read(req.file.buffer.toString('utf8'), { type: 'string', cellDates: true })
+    : xlsx.read(req.file.buffer, { type: 'buffer', cellDates: true });
+
+  let sheetNames = [workbook.SheetNames[0]];
+  const wanted = (opts.sheet === undefined || opts.sheet === null) ? '' : String(opts.sheet).trim();
+  if (wanted === '*' || parseBool(opts.allSheets)) {
+    sheetNames = workbook.SheetNames.slice();
+  } else if (wanted) {
+    const idx = Number(wanted);
+    const byName = workbook.SheetNames.find(n => n.toLowerCase() === wanted.toLowerCase());
+    const picked = byName || (Number.isInteger(idx) ? workbook.SheetNames[idx - 1] : undefined);
+    if (!picked) return { error: `Sheet "${wanted}" not found; available: ${workbook.SheetNames.join(', ')}`, status: 400 };
+    sheetNames = [picked];
   }
-  const costRate = totalQty > 0 ? (totalCost / totalQty) : 0;
 
-  // Build per-bunker structure (independent storage) and include colors
-  const bunkers = [];
-  for (let m = 0; m < 8; m++) {
-    const layers = [];
-    for (let rIdx = 0; rIdx < (rows || []).length; rIdx++) {
-      const row = rows[rIdx];
-      const pct = (Array.isArray(row.percentages) && row.percentages[m]) ? Number(row.percentages[m]) : 0;
-      if (!pct || pct <= 0) continue;
-      const coalRef = coalRefForRowAndMill(row, m);
-      const coalDoc = findCoalRef(coalRef);
+  const multi = sheetNames.length > 1;
+  const records = [];
+  sheetNames.forEach(sheetName => {
+    xlsx.utils.sheet_to_json(workbook.Sheets[sheetName]).forEach((item, idx) => {
+      // sheet_to_json keeps the 0-based sheet row on __rowNum__ (blank rows are skipped)
+      const row = (item.__rowNum__ !== undefined) ? item.__rowNum__ + 1 : idx + 2;
+      records.push({ item, row, sheet: multi ? sheetName : null });
+    });
+  });
+  return { format: isCsv ? 'csv' : 'workbook', sheets: sheetNames, records };
+}
 
-      // Resolve color using helper
-      const layerColor = resolveColorForCoal(coalRef, coalDoc);
+/* -------------------- Upload header alias configuration -------------------- */
+// single settings document: { headerAliases: { SiO2: ['Silica', ...], gcv: ['GCV (kcal/kg)'], ... } }
+const CoalImportConfigSchema = new mongoose.Schema({
+  key: { type: String, default: 'default', unique: true },
+  headerAliases: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, { collection: 'coalimportconfig', timestamps: true });
+
+const CoalImportConfig = mongoose.models.CoalImportConfig || mongoose.model('CoalImportConfig', CoalImportConfigSchema);
+
+async function loadHeaderAliases() {
+  const cfg = await CoalImportConfig.findOne({ key: 'default' }).lean();
+  return (cfg && cfg.headerAliases) || {};
+}
+
+// parse the per-request `aliases` option (JSON string from a form field, or an object)
+function parseAliasOption(v) {
+  if (!v) return {};
+  if (typeof v === 'object') return v;
+  try { return JSON.parse(v); } catch (e) { return null; }
+}
+
+// GET -> stored aliases plus the effective (merged) header table
+app.get('/api/upload-coal/aliases', async (req, res) => {
+  try {
+    const headerAliases = await loadHeaderAliases();
+    return res.json({ headerAliases, effective: buildColumnTable(headerAliases) });
+  } catch (err) {
+    console.error('GET /api/upload-coal/aliases error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// PUT { headerAliases: { field: 'Header' | ['Header', ...] } } -> replaces the stored aliases
+app.put('/api/upload-coal/aliases', async (req, res) => {
+  try {
+    const incoming = req.body && req.body.headerAliases;
+    if (!incoming || typeof incoming !== 'object' || Array.isArray(incoming)) {
+      return res.status(400).json({ error: 'headerAliases object required' });
+    }
+    const known = Object.keys(buildColumnTable());
+    const unknown = Object.keys(incoming).filter(f => !known.includes(f));
+    if (unknown.length) return res.status(400).json({ error: `Unknown fields: ${unknown.join(', ')}`, fields: known });
+
+    const headerAliases = {};
+    Object.keys(incoming).forEach(f => {
+      const v = incoming[f];
+      headerAliases[f] = (Array.isArray(v) ? v : [v]).map(h => String(h).trim()).filter(Boolean);
+    });
+    await CoalImportConfig.findOneAndUpdate({ key: 'default' }, { key: 'default', headerAliases }, { upsert: true, new: true });
+    return res.json({ message: 'Header aliases saved', headerAliases, effective: buildColumnTable(headerAliases) });
+  } catch (err) {
+    console.error('PUT /api/upload-coal/aliases error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// accepts true/'true'/'1'/'yes'/'on' from query strings and multipart fields
+function parseBool(v) {
+  if (v === true) return true;
+  if (v === undefined || v === null) return false;
+  return ['true', '1', 'yes', 'on'].includes(String(v).trim().toLowerCase());
+}
+
+// "MCL  g-11 " -> "mclg11": case, whitespace and the separators - _ . / are ignored when matching coal
+// names; other symbols stay significant ("G11+" and "G11" are different coals)
+function coalNameKey(name) {
+  return String(name || '').toLowerCase().replace(/[\s\-_./]/g, '');
+}
+
+/**
+ * Lookup for coal references in blend rows, uploads and stock movements: an _id string,
+ * a name or an alias (compared with coalNameKey()). Names win over aliases and active
+ * coals over retired ones when keys collide.
+ * Returns { byId, byKey, resolve(ref) -> coal doc | null }.
+ */
+function buildCoalResolver(coals) {
+  const byId = {};
+  const byKey = {};
+  const ordered = (coals || []).slice().sort((a, b) => (b.retired ? 1 : 0) - (a.retired ? 1 : 0));
+  ordered.forEach(c => {
+    if (c._id) byId[String(c._id)] = c;
+    (c.aliases || []).forEach(a => { const k = coalNameKey(a); if (k) byKey[k] = c; });
+  });
+  ordered.forEach(c => { const k = coalNameKey(c.coal); if (k) byKey[k] = c; });
+  return {
+    byId,
+    byKey,
+    resolve(ref) {
+      if (ref === undefined || ref === null || ref === '') return null;
+      return byId[String(ref)] || byKey[coalNameKey(ref)] || null;
+    }
+  };
+}
+
+// aliases arrive as an array or a "a; b, c" cell; blanks and duplicates are dropped
+function parseAliases(v) {
+  const list = Array.isArray(v) ? v : String(v || '').split(/[;,|\n]/);
+  const seen = new Set();
+  return list.map(a => String(a || '').trim()).filter(a => {
+    const k = coalNameKey(a);
+    if (!k || seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+/**
+ * Compare uploaded rows against the existing coal master (matched by name).
+ * Returns { added, changed, removed, unchanged } plus the write ops needed to apply it.
+ * - added:   rows whose name is not in the master
+ * - changed: { _id, coal, changes: { field: { from, to } }, newAnalysis }; a new analysis is appended to
+ *            the history and the top-level fields follow the analysis effective now
+ * - removed: master coals missing from the upload (only retired when `retire` is set)
+ * Coals named (or aliased) by a row that failed validation (`rejectedKeys`) are never removed.
+ */
+function diffCoalUpload(existing, incoming, retire, rejectedKeys = []) {
+  const resolver = buildCoalResolver(existing);
+
+  const added = [], changed = [], removed = [];
+  let unchanged = 0;
+  const ops = [];
+  const seen = new Set();
+  const matchedIds = new Set();
+
+  incoming.forEach(row => {
+    const key = coalNameKey(row.coal);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+
+    // a sheet row may name the coal by one of its aliases
+    const cur = resolver.byKey[key];
+    if (cur) matchedIds.add(String(cur._id));
+    if (!cur) {
+      added.push(row);
+      ops.push({ insertOne: { document: row } });
+      return;
+    }
+
+    // analysis fields follow the history: a lot dated before the current one is only added to it
+    const entry = row.analyses[0];
+    const newAnalysis = isNewAnalysis(cur, row, entry);
+    const target = newAnalysis ? Object.assign({}, row, analysisFieldsAfter(cur, row, entry)) : row;
+
+    const changes = {};
+    COAL_FIELDS.forEach(f => {
+      // an empty colour / aliases cell keeps what the coal already has
+      if (f === 'color' && !row.color) return;
+      if (f === 'aliases' && !(row.aliases && row.aliases.length)) return;
+      const from = (cur[f] === undefined) ? (f === 'gcvBasis' ? DEFAULT_GCV_BASIS : null) : cur[f];
+      const to = target[f];
+      if (String(from) !== String(to)) changes[f] = { from, to };
+    });
+    if (cur.retired) changes.retired = { from: true, to: false };
+
+    if (newAnalysis && entry.lotId) {
+      const current = analysisAt(cur);
+      changes.lotId = { from: current ? current.lotId : null, to: entry.lotId };
+    }
+
+    if (Object.keys(changes).length || newAnalysis) {
+      const set = {};
+      Object.keys(changes).forEach(f => { if (f !== 'lotId') set[f] = changes[f].to; });
+      const update = {};
+      if (Object.keys(set).length) update.$set = set;
+      if (newAnalysis) update.$push = analysisHistoryPush(cur, entry);
+      changed.push({ _id: cur._id, coal: cur.coal, changes, newAnalysis });
+      ops.push({ updateOne: { filter: { _id: cur._id }, update } });
+    } else {
+      unchanged++;
+    }
+  });
+
+  rejectedKeys.forEach(key => {
+    const cur = key && resolver.byKey[key];
+    if (cur) matchedIds.add(String(cur._id));
+  });
+
+  existing.forEach(c => {
+    if (c.retired || matchedIds.has(String(c._id))) return;
+    removed.push({ _id: c._id, coal: c.coal });
+    if (retire) ops.push({ updateOne: { filter: { _id: c._id }, update: { $set: { retired: true } } } });
+  });
+
+  return { added, changed, removed, unchanged, ops };
+}
+
+/**
+ * POST /api/upload-coal (multipart, field "file": .xlsx/.xls, .csv or .json)
+ * or a JSON body that is an array of coals / { coals: [...], ...options }.
+ * Options (query string, form fields or JSON body):
+ *   mode=replace (default) -> wipe the master and insert the sheet
+ *   mode=merge             -> match by coal name; update changed coals, insert new ones
+ *   retire=true            -> (merge only) mark coals missing from the sheet as retired; coals named
+ *                             by a rejected row are kept, and a rejected row without a coal name
+ *                             refuses the retirement (it could describe any coal)
+ *   dryRun=true            -> return the per-coal diff without writing anything
+ *   strictness=partial     -> (default) import the valid rows, report the rejected ones
+ *   strictness=strict      -> reject the whole upload if any row has an error
+ *   oxideTolerance=5       -> allowed deviation of the oxide total from 100%
+ *   sheet=<name|n>         -> (workbooks) sheet to import by name or 1-based index; default first
+ *   sheet=*                -> (workbooks) import every sheet (e.g. one sheet per supplier)
+ *   aliases={...}          -> extra header aliases for this upload, e.g. {"SiO2":"Silica"};
+ *                             applied before the stored ones (/api/upload-coal/aliases)
+ * Every response carries a `validation` report: { rows, accepted, rejected, errors[], warnings[] }
+ * where each entry is { sheet?, row, column, field, severity, problem, value } (row = sheet row
+ * number, or 1-based array position for JSON).
+ */
+app.post('/api/upload-coal', upload.single('file'), async (req, res) => {
+  try {
+    const opts = Object.assign({}, req.query, Array.isArray(req.body) ? {} : req.body);
+    const mode = String(opts.mode || 'replace').toLowerCase();
+    if (!['replace', 'merge'].includes(mode)) return res.status(400).json({ error: 'mode must be replace or merge' });
+    const dryRun = parseBool(opts.dryRun);
+    const retire = parseBool(opts.retire);
+    const strictness = String(opts.strictness || 'partial').toLowerCase();
+    if (!['strict', 'partial'].includes(strictness)) return res.status(400).json({ error: 'strictness must be strict or partial' });
+    const oxideTolerance = (opts.oxideTolerance !== undefined && opts.oxideTolerance !== '') ? Number(opts.oxideTolerance) : OXIDE_TOTAL_TOLERANCE;
+    if (!isFinite(oxideTolerance) || oxideTolerance < 0) return res.status(400).json({ error: 'oxideTolerance must be a non-negative number' });
+
+    const requestAliases = parseAliasOption(opts.aliases);
+    if (requestAliases === null) return res.status(400).json({ error: 'aliases must be a JSON object' });
+
+    const input = readCoalRecords(req, opts);
+    if (input.error) return res.status(input.status || 400).json({ error: input.error });
+
+    const columns = buildColumnTable(requestAliases, await loadHeaderAliases());
+    const { accepted: coalData, rejectedKeys, report: validation } = validateCoalRows(input.records, { oxideTolerance, columns });
+    validation.format = input.format;
+    validation.sheets = input.sheets;
+    if (strictness === 'strict' && validation.errors.length) {
+      return res.status(400).json({ error: 'Validation failed; nothing was imported', strictness, validation });
+    }
+    if (!coalData.length) {
+      return res.status(400).json({ error: 'No valid coal rows in upload', strictness, validation });
+    }
+
+    if (mode === 'replace') {
+      if (dryRun) {
+        const existing = await Coal.find().lean();
+        return res.json({
+          dryRun: true,
+          mode,
+          strictness,
+          added: coalData,
+          changed: [],
+          // retired coals are already out of the master, as in a merge
+          removed: existing.filter(c => !c.retired).map(c => ({ _id: c._id, coal: c.coal })),
+          unchanged: 0,
+          validation
+        });
+      }
+      // Replace existing coals with new upload (use mode=merge to keep ids)
+      await Coal.deleteMany();
+      await Coal.insertMany(coalData);
+      return res.json({ message: 'Coal data uploaded and saved to DB successfully', strictness, validation });
+    }
+
+    if (retire && rejectedKeys.includes('')) {
+      return res.status(400).json({ error: 'retire refused: a rejected row has no coal name, so the coals missing from the upload cannot be told apart', strictness, validation });
+    }
+    const existing = await Coal.find().lean();
+    const diff = diffCoalUpload(existing, coalData, retire, rejectedKeys);
+    const summary = {
+      mode,
+      retire,
+      strictness,
+      added: diff.added,
+      changed: diff.changed,
+      removed: diff.removed,
+      unchanged: diff.unchanged,
+      validation
+    };
+    if (dryRun) return res.json(Object.assign({ dryRun: true }, summary));
+
+    if (diff.ops.length) await Coal.bulkWrite(diff.ops);
+    return res.json(Object.assign({ message: 'Coal data merged successfully' }, summary));
+  } catch (err) {
+    console.error('Error uploading coal data:', err);
+    return res.status(500).json({ error: 'Failed to process coal upload' });
+  }
+});
+
+/* -------------------- Coal GET endpoints (client expects these) -------------------- */
+// retired coals are hidden unless ?includeRetired=true
+function activeCoalFilter(req) {
+  return parseBool(req.query.includeRetired) ? {} : { retired: { $ne: true } };
+}
+
+app.get('/api/coal', async (req, res) => {
+  try {
+    const items = await Coal.find(activeCoalFilter(req)).lean();
+    return res.json(items);
+  } catch (err) {
+    console.error('GET /api/coal error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+// sortable fields for GET /api/coals (sio2Al2o3 = SiO2 + Al2O3, the AFT band key)
+const COAL_SORT_FIELDS = ['coal', 'gcv', 'cost', 'sio2Al2o3'].concat(COAL_OXIDE_FIELDS, ['SulphurS'], COAL_PROXIMATE_FIELDS);
+const COAL_LIST_QUERY_KEYS = ['q', 'gcvMin', 'gcvMax', 'costMin', 'costMax', 'sio2Al2o3Min', 'sio2Al2o3Max', 'sort', 'order', 'page', 'pageSize'];
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the aggregation for a filtered/sorted/paged coal list from the query string.
+ * Returns { pipeline, page, pageSize } or { error }.
+ */
+function buildCoalListQuery(req) {
+  const q = req.query;
+  const match = Object.assign({}, activeCoalFilter(req));
+  const rangeMatch = {};
+
+  function range(target, field, minKey, maxKey) {
+    const cond = {};
+    for (const [key, op] of [[minKey, '$gte'], [maxKey, '$lte']]) {
+      if (isBlank(q[key])) continue;
+      const n = Number(q[key]);
+      if (!isFinite(n)) return `${key} must be a number`;
+      cond[op] = n;
+    }
+    if (Object.keys(cond).length) target[field] = cond;
+    return null;
+  }
+
+  if (!isBlank(q.q)) {
+    const rx = { $regex: escapeRegex(String(q.q).trim()), $options: 'i' };
+    match.$or = [{ coal: rx }, { aliases: rx }];
+  }
+  const rangeError = range(match, 'gcv', 'gcvMin', 'gcvMax')
+    || range(match, 'cost', 'costMin', 'costMax')
+    || range(rangeMatch, 'sio2Al2o3', 'sio2Al2o3Min', 'sio2Al2o3Max');
+  if (rangeError) return { error: rangeError };
+
+  let sortField = isBlank(q.sort) ? 'coal' : String(q.sort).trim();
+  let dir = 1;
+  if (sortField.startsWith('-')) { dir = -1; sortField = sortField.slice(1); }
+  if (String(q.order || '').toLowerCase() === 'desc') dir = -1;
+  if (!COAL_SORT_FIELDS.includes(sortField)) return { error: `sort must be one of ${COAL_SORT_FIELDS.join(', ')}` };
+
+  const page = isBlank(q.page) ? 1 : Number(q.page);
+  const pageSize = isBlank(q.pageSize) ? 25 : Number(q.pageSize);
+  if (!Number.isInteger(page) || page < 1) return { error: 'page must be a positive integer' };
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 1000) return { error: 'pageSize must be an integer between 1 and 1000' };
+
+  const pipeline = [
+    { $match: match },
+    { $addFields: { sio2Al2o3: { $add: [{ $ifNull: ['$SiO2', 0] }, { $ifNull: ['$Al2O3', 0] }] } } },
+    { $match: rangeMatch },
+    { $project: { analyses: 0 } },
+    { $facet: {
+      items: [{ $sort: { [sortField]: dir, _id: 1 } }, { $skip: (page - 1) * pageSize }, { $limit: pageSize }],
+      total: [{ $count: 'count' }]
+    } }
+  ];
+  return { pipeline, page, pageSize, sort: sortField, order: dir === 1 ? 'asc' : 'desc' };
+}
+
+/**
+ * GET /api/coals
+ * Without list parameters: the whole (active) collection as an array, as before.
+ * With any of q, gcvMin/gcvMax, costMin/costMax, sio2Al2o3Min/sio2Al2o3Max, sort (field or
+ * -field), order (asc|desc), page, pageSize: { items, total, totalAll, page, pageSize, pages, sort, order }
+ * where total counts the filtered coals and totalAll every active coal.
+ */
+app.get('/api/coals', async (req, res) => {
+  try {
+    if (!COAL_LIST_QUERY_KEYS.some(k => req.query[k] !== undefined)) {
+      const items = await Coal.find(activeCoalFilter(req)).lean();
+      return res.json(items);
+    }
+
+    const built = buildCoalListQuery(req);
+    if (built.error) return res.status(400).json({ error: built.error });
+
+    const [result] = await Coal.aggregate(built.pipeline).collation({ locale: 'en', strength: 2 });
+    const total = (result && result.total[0]) ? result.total[0].count : 0;
+    const totalAll = await Coal.countDocuments(activeCoalFilter(req));
+    return res.json({
+      items: result ? result.items : [],
+      total,
+      totalAll,
+      page: built.page,
+      pageSize: built.pageSize,
+      pages: Math.max(1, Math.ceil(total / built.pageSize)),
+      sort: built.sort,
+      order: built.order
+    });
+  } catch (err) {
+    console.error('GET /api/coals error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+app.get('/api/coal/list', async (req, res) => {
+  try {
+    const items = await Coal.find(activeCoalFilter(req)).lean();
+    return res.json(items);
+  } catch (err) {
+    console.error('GET /api/coal/list error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+app.get('/api/coalnames', async (req, res) => {
+  try {
+    // minimal payload: _id and coal name
+    const items = await Coal.find(activeCoalFilter(req), { coal: 1 }).lean();
+    return res.json(items);
+  } catch (err) {
+    console.error('GET /api/coalnames error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * GET /api/coal/unresolved?all=true
+ * Blend rows whose coal reference matches no coal id, name or alias in the current master
+ * (checked against the unit blends, or every blend with all=true).
+ * Returns [{ blendId, unit, unresolved: [{ row, ref, mills }] }] for blends with problems.
+ */
+app.get('/api/coal/unresolved', async (req, res) => {
+  try {
+    const resolver = buildCoalResolver(await Coal.find({}, { coal: 1, aliases: 1, retired: 1 }).lean());
+    const units = await unitByBlendId();
+    const filter = parseBool(req.query.all) ? {} : { _id: { $in: Object.keys(units) } };
+    const blends = await Blend.find(filter, { rows: 1 }).lean();
+    const report = blends.map(b => ({
+      blendId: b._id,
+      unit: units[String(b._id)] || null,
+      unresolved: findUnresolvedCoalRefs(b.rows, resolver)
+    })).filter(r => r.unresolved.length);
+    return res.json(report);
+  } catch (err) {
+    console.error('GET /api/coal/unresolved error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Coal CRUD endpoints (single coal edits) -------------------- */
+// validate a coal body with the upload rules and check the name is not taken by another coal
+async function validateCoalBody(body, excludeId) {
+  const { doc, meta, issues } = parseCoalInput(body || {}, { oxideTolerance: (body || {}).oxideTolerance });
+  // the name and every alias must not match another coal's name or alias
+  const others = buildCoalResolver(await Coal.find(excludeId ? { _id: { $ne: excludeId } } : {}, { coal: 1, aliases: 1, retired: 1 }).lean());
+  [{ field: 'coal', value: doc.coal }].concat((doc.aliases || []).map(a => ({ field: 'aliases', value: a }))).forEach(({ field, value }) => {
+    const clash = others.byKey[coalNameKey(value)];
+    if (clash) {
+      issues.push({ field, column: field, severity: 'error', problem: `"${value}" already matches coal ${clash.coal} (${clash._id})`, value });
+    }
+  });
+  return {
+    doc,
+    meta,
+    errors: issues.filter(i => i.severity === 'error'),
+    warnings: issues.filter(i => i.severity !== 'error')
+  };
+}
+
+/**
+ * Create one coal.
+ * Body: { coal, SiO2, Al2O3, ..., gcv, cost, color, lotId?, sampledAt?, effectiveFrom? }
+ * (same fields/headers as the upload)
+ */
+app.post('/api/coal', async (req, res) => {
+  try {
+    const { doc, meta, errors, warnings } = await validateCoalBody(req.body);
+    if (errors.length) return res.status(400).json({ error: 'Validation failed', errors, warnings });
+
+    doc.analyses = [snapshotAnalysis(doc, meta)];
+    const created = await Coal.create(doc);
+    return res.status(201).json({ message: 'Created', id: created._id, coal: created, warnings });
+  } catch (err) {
+    console.error('POST /api/coal error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * PUT replaces every analysis field of the coal (missing numeric fields become 0);
+ * PATCH only changes the fields supplied and re-validates the merged record.
+ * A changed analysis (or a new lotId) is appended to the coal's history as effective now
+ * (or at effectiveFrom), so blends computed earlier keep resolving the previous analysis.
+ * The top-level analysis fields always mirror the analysis effective now (see analysisFieldsAfter).
+ */
+async function updateCoal(req, res, merge) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid coal id' });
+
+    const existing = await Coal.findById(id).lean();
+    if (!existing) return res.status(404).json({ error: 'Coal not found' });
+
+    const body = merge ? Object.assign({}, existing, req.body) : req.body;
+    const { doc, meta, errors, warnings } = await validateCoalBody(body, existing._id);
+    if (errors.length) return res.status(400).json({ error: 'Validation failed', errors, warnings });
+
+    const update = { $set: doc };
+    if (isNewAnalysis(existing, doc, meta)) {
+      const entry = snapshotAnalysis(doc, meta);
+      update.$push = analysisHistoryPush(existing, entry);
+      Object.assign(doc, analysisFieldsAfter(existing, doc, entry));
+    }
+
+    const updated = await Coal.findByIdAndUpdate(id, update, { new: true }).lean();
+    return res.json({ message: 'Updated', id: updated._id, coal: updated, warnings });
+  } catch (err) {
+    console.error(`${req.method} /api/coal/:id error:`, err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+}
+
+app.put('/api/coal/:id', (req, res) => updateCoal(req, res, false));
+app.patch('/api/coal/:id', (req, res) => updateCoal(req, res, true));
+
+/**
+ * Retire a coal (kept so saved blends still resolve it); ?hard=true removes the document.
+ */
+app.delete('/api/coal/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid coal id' });
+
+    if (parseBool(req.query.hard)) {
+      const removed = await Coal.findByIdAndDelete(id).lean();
+      if (!removed) return res.status(404).json({ error: 'Coal not found' });
+      return res.json({ message: 'Deleted', id: removed._id });
+    }
+
+    const retired = await Coal.findByIdAndUpdate(id, { $set: { retired: true } }, { new: true }).lean();
+    if (!retired) return res.status(404).json({ error: 'Coal not found' });
+    return res.json({ message: 'Retired', id: retired._id });
+  } catch (err) {
+    console.error('DELETE /api/coal/:id error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Coal analysis (lot) history endpoints -------------------- */
+/**
+ * List a coal's analyses, oldest first, with the one effective now (or ?at=<date>) flagged.
+ */
+app.get('/api/coal/:id/analyses', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid coal id' });
+    const at = req.query.at ? parseDateValue(req.query.at) : null;
+    if (at === undefined) return res.status(400).json({ error: 'at must be a valid date' });
+
+    const coal = await Coal.findById(id).lean();
+    if (!coal) return res.status(404).json({ error: 'Coal not found' });
+
+    const effective = analysisAt(coal, at);
+    const analyses = (coal.analyses || [])
+      .slice()
+      .sort((a, b) => new Date(a.effectiveFrom || 0) - new Date(b.effectiveFrom || 0))
+      .map(a => Object.assign({}, a, { effective: !!(effective && String(effective._id) === String(a._id)) }));
+    return res.json({ id: coal._id, coal: coal.coal, analyses });
+  } catch (err) {
+    console.error('GET /api/coal/:id/analyses error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Add a lot analysis to a coal.
+ * Body: { lotId, sampledAt, effectiveFrom (default now, may be in the future), SiO2, ..., gcv, cost }
+ * The coal's top-level fields are refreshed to whichever analysis is effective now.
+ */
+app.post('/api/coal/:id/analyses', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid coal id' });
+
+    const existing = await Coal.findById(id).lean();
+    if (!existing) return res.status(404).json({ error: 'Coal not found' });
+
+    const body = Object.assign({}, req.body, { coal: existing.coal });
+    const { doc, meta, issues } = parseCoalInput(body, { oxideTolerance: body.oxideTolerance, allowFutureEffective: true });
+    const errors = issues.filter(i => i.severity === 'error');
+    const warnings = issues.filter(i => i.severity !== 'error');
+    if (errors.length) return res.status(400).json({ error: 'Validation failed', errors, warnings });
+
+    const entry = snapshotAnalysis(doc, meta);
+    let updated = await Coal.findByIdAndUpdate(id, { $push: analysisHistoryPush(existing, entry) }, { new: true }).lean();
+
+    // keep top-level fields in step with the analysis effective now
+    const current = coalAsOf(updated);
+    const set = {};
+    COAL_NUMERIC_FIELDS.concat(['gcvBasis']).forEach(f => { if (current[f] !== updated[f]) set[f] = current[f]; });
+    if (Object.keys(set).length) updated = await Coal.findByIdAndUpdate(id, { $set: set }, { new: true }).lean();
+
+    return res.status(201).json({ message: 'Analysis added', id: updated._id, analysis: updated.analyses[updated.analyses.length - 1], warnings });
+  } catch (err) {
+    console.error('POST /api/coal/:id/analyses error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Supplier / contract model (landed cost) -------------------- */
+const SupplierSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  code: String,
+  contact: String,
+  notes: String
+}, { collection: 'suppliers', timestamps: true });
+
+const Supplier = mongoose.models.Supplier || mongoose.model('Supplier', SupplierSchema);
+
+// prices are per tonne in `currency` on the stated `basis`; taxes are either a percent of
+// (basePrice + freight + handling) or a fixed amount per tonne
+const ContractSchema = new mongoose.Schema({
+  supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true },
+  number: { type: String, required: true },
+  coalIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Coal' }],
+  currency: { type: String, default: 'INR' },
+  basis: { type: String, default: 'per tonne as received' },
+  basePrice: { type: Number, default: 0 },
+  freight: { type: Number, default: 0 },
+  handling: { type: Number, default: 0 },
+  taxes: [{
+    name: String,
+    percent: Number,
+    amount: Number
+  }],
+  validFrom: { type: Date, default: Date.now },
+  validTo: { type: Date, default: null }
+}, { collection: 'contracts', timestamps: true });
+
+const Contract = mongoose.models.Contract || mongoose.model('Contract', ContractSchema);
+
+// landed cost per tonne with its components
+function landedCost(contract) {
+  const basePrice = Number(contract.basePrice) || 0;
+  const freight = Number(contract.freight) || 0;
+  const handling = Number(contract.handling) || 0;
+  const subtotal = basePrice + freight + handling;
+  const taxes = (contract.taxes || []).map(t => ({
+    name: t.name || '',
+    amount: (t.percent !== undefined && t.percent !== null) ? subtotal * (Number(t.percent) || 0) / 100 : (Number(t.amount) || 0)
+  }));
+  const taxTotal = taxes.reduce((s, t) => s + t.amount, 0);
+  return {
+    contractId: contract._id,
+    contract: contract.number,
+    supplierId: contract.supplierId,
+    currency: contract.currency,
+    basis: contract.basis,
+    basePrice,
+    freight,
+    handling,
+    taxes,
+    taxTotal,
+    landedCost: subtotal + taxTotal
+  };
+}
+
+// contract covering `coalId` at `at` (latest validFrom wins when several overlap)
+function contractFor(coalId, contracts, at) {
+  const t = at ? new Date(at).getTime() : Date.now();
+  let best = null;
+  (contracts || []).forEach(c => {
+    if (!(c.coalIds || []).some(id => String(id) === String(coalId))) return;
+    const from = c.validFrom ? new Date(c.validFrom).getTime() : 0;
+    const to = c.validTo ? new Date(c.validTo).getTime() : Infinity;
+    if (from > t || to < t) return;
+    if (!best || from > new Date(best.validFrom || 0).getTime()) best = c;
+  });
+  return best;
+}
+
+// coal view whose `cost` is the landed cost of the contract active at `at` (unchanged without one)
+function coalWithLandedCost(coal, contracts, at) {
+  const contract = contractFor(coal._id, contracts, at);
+  if (!contract) return coal;
+  const landed = landedCost(contract);
+  return Object.assign({}, coal, { cost: landed.landedCost, landed });
+}
+
+// fields a client may set on a contract (timestamps and ids stay server-managed)
+const CONTRACT_FIELDS = ['supplierId', 'number', 'coalIds', 'currency', 'basis', 'basePrice', 'freight', 'handling', 'taxes', 'validFrom', 'validTo'];
+
+function pickContractFields(src) {
+  const out = {};
+  CONTRACT_FIELDS.forEach(f => { if (src && src[f] !== undefined) out[f] = src[f]; });
+  return out;
+}
+
+function validateContractBody(body) {
+  const errors = [];
+  if (!body.supplierId || !mongoose.isValidObjectId(body.supplierId)) errors.push('supplierId must be a supplier id');
+  if (!body.number || !String(body.number).trim()) errors.push('number (contract number) required');
+  ['basePrice', 'freight', 'handling'].forEach(f => {
+    if (body[f] !== undefined && (!isFinite(Number(body[f])) || Number(body[f]) < 0)) errors.push(`${f} must be a non-negative number`);
+  });
+  if (body.coalIds !== undefined && (!Array.isArray(body.coalIds) || body.coalIds.some(id => !mongoose.isValidObjectId(id)))) {
+    errors.push('coalIds must be an array of coal ids');
+  }
+  if (body.taxes !== undefined) {
+    if (!Array.isArray(body.taxes)) errors.push('taxes must be an array');
+    else body.taxes.forEach((t, i) => {
+      const hasPct = t && t.percent !== undefined && t.percent !== null;
+      const hasAmt = t && t.amount !== undefined && t.amount !== null;
+      if (hasPct === hasAmt) errors.push(`taxes[${i}] needs exactly one of percent or amount`);
+      else if (!isFinite(Number(hasPct ? t.percent : t.amount))) errors.push(`taxes[${i}] value must be a number`);
+    });
+  }
+  ['validFrom', 'validTo'].forEach(f => {
+    if (!isBlank(body[f]) && !parseDateValue(body[f])) errors.push(`${f} must be a valid date`);
+  });
+  return errors;
+}
+
+app.get('/api/suppliers', async (req, res) => {
+  try {
+    const items = await Supplier.find().sort({ name: 1 }).lean();
+    return res.json(items);
+  } catch (err) {
+    console.error('GET /api/suppliers error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+app.post('/api/suppliers', async (req, res) => {
+  try {
+    const { name, code, contact, notes } = req.body || {};
+    if (!name || !String(name).trim()) return res.status(400).json({ error: 'name required' });
+    const created = await Supplier.create({ name: String(name).trim(), code, contact, notes });
+    return res.status(201).json({ message: 'Created', id: created._id, supplier: created });
+  } catch (err) {
+    console.error('POST /api/suppliers error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+app.put('/api/suppliers/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid supplier id' });
+    const { name, code, contact, notes } = req.body || {};
+    if (name !== undefined && !String(name).trim()) return res.status(400).json({ error: 'name cannot be empty' });
+    const set = {};
+    Object.entries({ name, code, contact, notes }).forEach(([k, v]) => { if (v !== undefined) set[k] = v; });
+    const updated = await Supplier.findByIdAndUpdate(id, { $set: set }, { new: true }).lean();
+    if (!updated) return res.status(404).json({ error: 'Supplier not found' });
+    return res.json({ message: 'Updated', id: updated._id, supplier: updated });
+  } catch (err) {
+    console.error('PUT /api/suppliers/:id error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// GET /api/contracts?coal=<id>&supplier=<id>&at=<date> -> contracts with their landed cost
+app.get('/api/contracts', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.coal) filter.coalIds = req.query.coal;
+    if (req.query.supplier) filter.supplierId = req.query.supplier;
+    if ((filter.coalIds && !mongoose.isValidObjectId(filter.coalIds)) || (filter.supplierId && !mongoose.isValidObjectId(filter.supplierId))) {
+      return res.status(400).json({ error: 'coal and supplier must be ids' });
+    }
+    let items = await Contract.find(filter).sort({ validFrom: -1 }).lean();
+    if (req.query.at) {
+      const at = parseDateValue(req.query.at);
+      if (!at) return res.status(400).json({ error: 'at must be a valid date' });
+      items = items.filter(c => new Date(c.validFrom || 0) <= at && (!c.validTo || new Date(c.validTo) >= at));
+    }
+    return res.json(items.map(c => Object.assign({}, c, { landed: landedCost(c) })));
+  } catch (err) {
+    console.error('GET /api/contracts error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Body: { supplierId, number, coalIds[], currency, basis, basePrice, freight, handling,
+ *         taxes: [{ name, percent } | { name, amount }], validFrom, validTo }
+ */
+app.post('/api/contracts', async (req, res) => {
+  try {
+    const body = pickContractFields(req.body);
+    const errors = validateContractBody(body);
+    if (errors.length) return res.status(400).json({ error: 'Validation failed', errors });
+    if (!(await Supplier.exists({ _id: body.supplierId }))) return res.status(404).json({ error: 'Supplier not found' });
+
+    const created = await Contract.create(body);
+    return res.status(201).json({ message: 'Created', id: created._id, contract: created, landed: landedCost(created) });
+  } catch (err) {
+    console.error('POST /api/contracts error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+app.put('/api/contracts/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: 'Invalid contract id' });
+    const existing = await Contract.findById(id).lean();
+    if (!existing) return res.status(404).json({ error: 'Contract not found' });
+
+    const set = pickContractFields(req.body);
+    const errors = validateContractBody(Object.assign(pickContractFields(existing), set));
+    if (errors.length) return res.status(400).json({ error: 'Validation failed', errors });
+    if (set.supplierId !== undefined && String(set.supplierId) !== String(existing.supplierId) && !(await Supplier.exists({ _id: set.supplierId }))) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    const updated = await Contract.findByIdAndUpdate(id, { $set: set }, { new: true }).lean();
+    return res.json({ message: 'Updated', id: updated._id, contract: updated, landed: landedCost(updated) });
+  } catch (err) {
+    console.error('PUT /api/contracts/:id error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * GET /api/units/:unit/cost-breakdown?at=<date>
+ * How each coal and each landed-cost component (base, freight, handling, taxes) adds up to
+ * the unit's blend cost per tonne, per hour and per MWh. Shares are by actual burn (mill flow x outlet share).
+ * Coals without a contract contribute the cost of their lot effective at `at` as base price.
+ */
+app.get('/api/units/:unit/cost-breakdown', async (req, res) => {
+  try {
+    const unit = Number(req.params.unit || 0);
+    if (![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+    const at = req.query.at ? parseDateValue(req.query.at) : new Date();
+    if (!at) return res.status(400).json({ error: 'at must be a valid date' });
+
+    const map = await UnitMap.findOne({ unit }).lean();
+    if (!map) return res.status(404).json({ error: 'Unit not initialized' });
+    const blend = await Blend.findById(map.blendId).lean();
+    if (!blend) return res.status(404).json({ error: 'Blend not found' });
+
+    const contracts = await Contract.find().lean();
+    const resolver = buildCoalResolver(await Coal.find().lean());
+
+    // layers name their coal by name, alias or id; the burn of one coal is added up under it
+    const rates = {};
+    Object.values(blendBurnRates(blend, at)).forEach(r => {
+      const doc = resolver.resolve(r.coal);
+      const key = doc ? String(doc._id) : coalNameKey(r.coal);
+      if (!rates[key]) rates[key] = { coal: r.coal, doc, tph: 0 };
+      rates[key].tph += r.tph;
+    });
+    const totalTph = Object.values(rates).reduce((s, r) => s + r.tph, 0);
+    const components = { basePrice: 0, freight: 0, handling: 0, taxes: 0 };
+    const currencies = new Set();
+
+    const coals = Object.keys(rates).map(key => {
+      const coal = rates[key].doc;
+      const share = totalTph > 0 ? rates[key].tph / totalTph : 0;
+      const lot = coal ? coalAsOf(coal, at) : null;
+      const contract = coal ? contractFor(coal._id, contracts, at) : null;
+      const landed = contract ? landedCost(contract) : {
+        contractId: null, contract: null, supplierId: null, currency: null, basis: null,
+        basePrice: lot ? (Number(lot.cost) || 0) : 0, freight: 0, handling: 0, taxes: [], taxTotal: 0,
+        landedCost: lot ? (Number(lot.cost) || 0) : 0
+      };
+      if (landed.currency) currencies.add(landed.currency);
+
+      const contribution = {
+        basePrice: share * landed.basePrice,
+        freight: share * landed.freight,
+        handling: share * landed.handling,
+        taxes: share * landed.taxTotal
+      };
+      Object.keys(components).forEach(k => { components[k] += contribution[k]; });
+
+      return {
+        coalId: coal ? coal._id : null,
+        coal: coal ? coal.coal : rates[key].coal,
+        lotId: lot ? lot.lotId || '' : '',
+        burnRateTph: rates[key].tph,
+        share,
+        landed,
+        contributionPerTonne: contribution,
+        costPerHour: rates[key].tph * landed.landedCost
+      };
+    });
+
+    const costPerTonne = components.basePrice + components.freight + components.handling + components.taxes;
+    const generation = Number(blend.generation) || 0;
+    return res.json({
+      unit,
+      blendId: blend._id,
+      at,
+      currency: currencies.size === 1 ? [...currencies][0] : (currencies.size ? 'mixed' : null),
+      totalFlow: totalTph,
+      costPerTonne,
+      costPerHour: costPerTonne * totalTph,
+      generation,
+      costPerMWh: (generation > 0 && totalTph > 0) ? costPerTonne * totalTph / generation : null,
+      components,
+      coals
+    });
+  } catch (err) {
+    console.error('GET /api/units/:unit/cost-breakdown error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Server-side AFT formula (pluggable correlations) -------------------- */
+// Band-linear correlations: the band is the first whose `max` is above SiO2 + Al2O3 (the last
+// band has max: null), then AFT = intercept + sum(coef * oxide). NaK applies to Na2O + K2O.
+const AFT_TERMS = ['SiO2', 'Al2O3', 'Fe2O3', 'CaO', 'MgO', 'NaK', 'SO3', 'TiO2'];
+const AFT_TEMPERATURES = ['IDT', 'ST', 'HT', 'FT'];   // initial deformation, softening, hemispherical, flow
+
+const AFT_MODELS = {
+  'default-3band': {
+    name: 'default-3band',
+    label: 'Three-band SiO2+Al2O3 correlation (plant default)',
+    temperature: null,
+    builtIn: true,
+    coefficients: {
+      bands: [
+        { max: 55, intercept: 1245, SiO2: 1.1, Al2O3: 0.95, Fe2O3: -2.5, CaO: -2.98, MgO: -4.5, NaK: -7.89, SO3: -1.7, TiO2: -0.63 },
+        { max: 75, intercept: 1323, SiO2: 1.45, Al2O3: 0.683, Fe2O3: -2.39, CaO: -3.1, MgO: -4.5, NaK: -7.49, SO3: -2.1, TiO2: -0.63 },
+        { max: null, intercept: 1395, SiO2: 1.2, Al2O3: 0.9, Fe2O3: -2.5, CaO: -3.1, MgO: -4.5, NaK: -7.2, SO3: -1.7, TiO2: -0.63 }
+      ]
+    }
+  }
+};
+const DEFAULT_AFT_MODEL = 'default-3band';
+
+// user-registered correlations (OEM / lab), same shape as AFT_MODELS entries
+const AftModelSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  label: String,
+  temperature: { type: String, default: null },
+  source: String,
+  coefficients: { type: mongoose.Schema.Types.Mixed, required: true }
+}, { collection: 'aftmodels', timestamps: true });
+
+const AftModel = mongoose.models.AftModel || mongoose.model('AftModel', AftModelSchema);
+
+function calcAFT(ox, model) {
+  // ox: { SiO2, Al2O3, Fe2O3, CaO, MgO, Na2O, K2O, SO3, TiO2 }
+  // model: AFT_MODELS entry / AftModel doc (default-3band when omitted)
+  const total = Object.keys(ox || {}).reduce((s, k) => s + (Number(ox[k]) || 0), 0);
+  if (total === 0) return 0;
+  const bands = ((model && model.coefficients) || AFT_MODELS[DEFAULT_AFT_MODEL].coefficients).bands;
+
+  const sum = (Number(ox.SiO2) || 0) + (Number(ox.Al2O3) || 0);
+  const band = bands.find(b => b.max === null || b.max === undefined || sum < b.max) || bands[bands.length - 1];
+  return aftBandValue(band, ox);
+}
+
+// one band's linear AFT: intercept + sum(coef * oxide)
+function aftBandValue(band, ox) {
+  const v = k => (k === 'NaK') ? (Number(ox.Na2O) || 0) + (Number(ox.K2O) || 0) : (Number(ox[k]) || 0);
+  let aft = Number(band.intercept) || 0;
+  AFT_TERMS.forEach(k => { aft += (Number(band[k]) || 0) * v(k); });
+  return Number(aft);
+}
+
+function validateAftCoefficients(coefficients) {
+  const errors = [];
+  const bands = coefficients && coefficients.bands;
+  if (!Array.isArray(bands) || !bands.length) return ['coefficients.bands must be a non-empty array'];
+  bands.forEach((b, i) => {
+    const last = i === bands.length - 1;
+    if (last && !(b.max === null || b.max === undefined)) errors.push('the last band must have max: null');
+    if (!last && !isFinite(Number(b.max))) errors.push(`bands[${i}].max must be a number`);
+    if (!last && i > 0 && Number(b.max) <= Number(bands[i - 1].max)) errors.push(`bands[${i}].max must be above bands[${i - 1}].max`);
+    ['intercept'].concat(AFT_TERMS).forEach(k => {
+      if (b[k] !== undefined && !isFinite(Number(b[k]))) errors.push(`bands[${i}].${k} must be a number`);
+    });
+    if (!isFinite(Number(b.intercept))) errors.push(`bands[${i}].intercept required`);
+  });
+  return errors;
+}
+
+// built-in or registered model by name; null when unknown
+async function findAftModel(name) {
+  if (!name) return AFT_MODELS[DEFAULT_AFT_MODEL];
+  if (AFT_MODELS[name]) return AFT_MODELS[name];
+  return AftModel.findOne({ name }).lean();
+}
+
+// correlation for a blend save: explicit request, else the unit's selection, else the default.
+// Returns null when an explicitly requested model does not exist.
+async function aftModelForBlend(requested, unit) {
+  if (requested) return findAftModel(requested);
+  const map = unit ? await UnitMap.findOne({ unit }).lean() : null;
+  return (await findAftModel(map && map.aftModel)) || AFT_MODELS[DEFAULT_AFT_MODEL];
+}
+
+// the correlation recorded on a blend (name + the coefficients actually used)
+function aftModelSummary(model) {
+  return { name: model.name, label: model.label || '', temperature: model.temperature || null, coefficients: model.coefficients };
+}
+
+app.get('/api/aft-models', async (req, res) => {
+  try {
+    const custom = await AftModel.find().sort({ name: 1 }).lean();
+    return res.json({ default: DEFAULT_AFT_MODEL, models: Object.values(AFT_MODELS).concat(custom.map(m => Object.assign({ builtIn: false }, m))) });
+  } catch (err) {
+    console.error('GET /api/aft-models error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * Register a correlation.
+ * Body: { name, label, temperature: IDT|ST|HT|FT, source, coefficients: { bands: [{ max, intercept, SiO2, Al2O3, Fe2O3, CaO, MgO, NaK, SO3, TiO2 }] } }
+ */
+app.post('/api/aft-models', async (req, res) => {
+  try {
+    const { name, label, temperature, source, coefficients } = req.body || {};
+    const errors = [];
+    if (!name || !/^[A-Za-z0-9._-]+$/.test(String(name))) errors.push('name required (letters, digits, . _ -)');
+    if (name && AFT_MODELS[name]) errors.push('name is a built-in model');
+    if (temperature && !AFT_TEMPERATURES.includes(temperature)) errors.push(`temperature must be one of ${AFT_TEMPERATURES.join(', ')}`);
+    errors.push(...validateAftCoefficients(coefficients));
+    if (errors.length) return res.status(400).json({ error: 'Validation failed', errors });
+    if (await AftModel.exists({ name })) return res.status(409).json({ error: 'AFT model already exists' });
+
+    const created = await AftModel.create({ name, label, temperature: temperature || null, source, coefficients });
+    return res.status(201).json({ message: 'Created', model: created });
+  } catch (err) {
+    console.error('POST /api/aft-models error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// GET -> the correlation a unit uses (with coefficients, so the input page can mirror it)
+app.get('/api/units/:unit/aft-model', async (req, res) => {
+  try {
+    const unit = Number(req.params.unit || 0);
+    if (![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+    const map = await UnitMap.findOne({ unit }).lean();
+    const model = (await findAftModel(map && map.aftModel)) || AFT_MODELS[DEFAULT_AFT_MODEL];
+    return res.json(Object.assign({ unit }, aftModelSummary(model)));
+  } catch (err) {
+    console.error('GET /api/units/:unit/aft-model error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// PUT { model: <name> } -> select the unit's correlation (null resets to the default)
+app.put('/api/units/:unit/aft-model', async (req, res) => {
+  try {
+    const unit = Number(req.params.unit || 0);
+    if (![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+    const name = (req.body && req.body.model) || null;
+    if (name && !(await findAftModel(name))) return res.status(404).json({ error: 'AFT model not found' });
+
+    const entry = await UnitMap.findOneAndUpdate({ unit }, { $set: { aftModel: name } }, { new: true }).lean();
+    if (!entry) return res.status(404).json({ error: 'Unit not initialized' });
+    return res.json({ message: 'AFT model updated', unit, model: entry.aftModel || DEFAULT_AFT_MODEL });
+  } catch (err) {
+    console.error('PUT /api/units/:unit/aft-model error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Ash deposition (slagging / fouling) indices -------------------- */
+// Classic ash-chemistry indices from the blended oxides (wt% of ash) and sulphur (wt% of coal):
+//   base/acid  B/A = (Fe2O3 + CaO + MgO + Na2O + K2O) / (SiO2 + Al2O3 + TiO2)
+//   slagging   Rs  = B/A x S
+//   fouling    Rf  = B/A x Na2O
+//   silica ratio   = 100 x SiO2 / (SiO2 + Fe2O3 + CaO + MgO)
+//   Fe/Ca          = Fe2O3 / CaO
+// Each is null when its inputs are missing or the denominator is zero.
+const ASH_INDEX_FIELDS = ['baseAcidRatio', 'slaggingIndex', 'foulingIndex', 'silicaRatio', 'feCaRatio'];
+
+function ashIndices(ox, sulphur) {
+  const v = k => Number((ox || {})[k]) || 0;
+  const base = v('Fe2O3') + v('CaO') + v('MgO') + v('Na2O') + v('K2O');
+  const acid = v('SiO2') + v('Al2O3') + v('TiO2');
+  const silicaDen = v('SiO2') + v('Fe2O3') + v('CaO') + v('MgO');
+  const baseAcidRatio = acid > 0 ? base / acid : null;
+  const S = numberOrNull(sulphur);
+  return {
+    baseAcidRatio,
+    slaggingIndex: (baseAcidRatio !== null && S !== null) ? baseAcidRatio * S : null,
+    foulingIndex: baseAcidRatio !== null ? baseAcidRatio * v('Na2O') : null,
+    silicaRatio: silicaDen > 0 ? 100 * v('SiO2') / silicaDen : null,
+    feCaRatio: v('CaO') > 0 ? v('Fe2O3') / v('CaO') : null
+  };
+}
+
+/* -------------------- Emission estimates (SO2, ash, CO2) -------------------- */
+// flueGasNm3PerKg: flue gas volume per kg of coal fired (at the reference O2 of the permit);
+//   mg/Nm3 is only reported once it is set
+// flyAshFraction: share of the ash leaving as fly ash (rest is bottom ash)
+// sulphurRetention: share of the coal sulphur retained in the ash (not emitted as SO2)
+const EMISSION_DEFAULTS = { flueGasNm3PerKg: null, flyAshFraction: 0.8, sulphurRetention: 0 };
+const SO2_PER_S = 64.066 / 32.065;
+const CO2_PER_C = 44.009 / 12.011;
+
+function validateEmissionSettings(body) {
+  const errors = [];
+  const out = {};
+  Object.keys(EMISSION_DEFAULTS).forEach(k => {
+    if (!body || body[k] === undefined) return;
+    if (body[k] === null || body[k] === '') { out[k] = EMISSION_DEFAULTS[k]; return; }
+    const n = Number(body[k]);
+    if (!isFinite(n) || n < 0) errors.push(`${k} must be a non-negative number`);
+    else if (k !== 'flueGasNm3PerKg' && n > 1) errors.push(`${k} must be a fraction between 0 and 1`);
+    else out[k] = n;
+  });
+  return { settings: out, errors };
+}
+
+// unit settings (or defaults) with a request's overrides on top
+async function emissionSettingsFor(unit, override) {
+  const map = unit ? await UnitMap.findOne({ unit }).lean() : null;
+  const { settings, errors } = validateEmissionSettings(override);
+  return { settings: Object.assign({}, EMISSION_DEFAULTS, (map && map.emissionSettings) || {}, settings), errors };
+}
+
+/**
+ * Emission rates from per-mill flows (t/h) and blended coal sulphur / ash / carbon (%):
+ *   SO2 kg/h = flow x 1000 x S/100 x (64/32) x (1 - sulphurRetention)
+ *   SO2 mg/Nm3 = SO2 kg/h x 1e6 / (total flow x 1000 x flueGasNm3PerKg)
+ *   ash t/h = flow x ash/100, split into fly / bottom ash by flyAshFraction
+ *   CO2 t/h = flow x C/100 x (44/12); intensity t/MWh = CO2 t/h / generation (MW)
+ * A unit total is null when any running mill has no value for the property it needs.
+ */
+function blendEmissions(flows, perMill, generation, settings) {
+  const mills = (Array.isArray(flows) ? flows : []).map(f => Number(f) || 0);
+  const running = mills.map((f, m) => m).filter(m => mills[m] > 0);
+  const totalFlow = running.reduce((s, m) => s + mills[m], 0);
+  const millRate = (values, factor) => mills.map((f, m) => {
+    const v = values[m];
+    if (!(f > 0) || v === null || v === undefined || isNaN(v)) return null;
+    return f * v / 100 * factor;
+  });
+  const unitTotal = rates => (running.length && running.every(m => rates[m] !== null))
+    ? running.reduce((s, m) => s + rates[m], 0) : null;
+
+  const so2 = millRate(perMill.sulphur, 1000 * SO2_PER_S * (1 - settings.sulphurRetention));
+  const ash = millRate(perMill.ash, 1);
+  const co2 = millRate(perMill.carbon, CO2_PER_C);
+
+  const so2KgPerHour = unitTotal(so2);
+  const ashTph = unitTotal(ash);
+  const co2Tph = unitTotal(co2);
+  const flueGasNm3PerHour = (settings.flueGasNm3PerKg && totalFlow > 0) ? totalFlow * 1000 * settings.flueGasNm3PerKg : null;
+  const gen = Number(generation) || 0;
+
+  return {
+    so2KgPerHour,
+    so2MgPerNm3: (so2KgPerHour !== null && flueGasNm3PerHour) ? so2KgPerHour * 1e6 / flueGasNm3PerHour : null,
+    flueGasNm3PerHour,
+    ashTph,
+    flyAshTph: ashTph !== null ? ashTph * settings.flyAshFraction : null,
+    bottomAshTph: ashTph !== null ? ashTph * (1 - settings.flyAshFraction) : null,
+    co2Tph,
+    co2TPerMWh: (co2Tph !== null && gen > 0) ? co2Tph / gen : null,
+    perMill: mills.map((f, m) => ({ so2KgPerHour: so2[m], ashTph: ash[m], co2Tph: co2[m] })),
+    settings
+  };
+}
+
+// GET -> the unit's emission settings (defaults filled in)
+app.get('/api/units/:unit/emission-settings', async (req, res) => {
+  try {
+    const unit = Number(req.params.unit || 0);
+    if (![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+    const { settings } = await emissionSettingsFor(unit, null);
+    return res.json(Object.assign({ unit }, settings));
+  } catch (err) {
+    console.error('GET /api/units/:unit/emission-settings error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// PUT { flueGasNm3PerKg?, flyAshFraction?, sulphurRetention? } (null resets a value to its default)
+app.put('/api/units/:unit/emission-settings', async (req, res) => {
+  try {
+    const unit = Number(req.params.unit || 0);
+    if (![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+    const map = await UnitMap.findOne({ unit }).lean();
+    if (!map) return res.status(404).json({ error: 'Unit not initialized' });
+    const { settings, errors } = validateEmissionSettings(req.body || {});
+    if (errors.length) return res.status(400).json({ error: 'Validation failed', errors });
+
+    const merged = Object.assign({}, EMISSION_DEFAULTS, map.emissionSettings || {}, settings);
+    await UnitMap.updateOne({ unit }, { $set: { emissionSettings: merged } });
+    return res.json(Object.assign({ message: 'Emission settings updated', unit }, merged));
+  } catch (err) {
+    console.error('PUT /api/units/:unit/emission-settings error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Station performance (heat rate, specific coal consumption) -------------------- */
+// Engineering units: coal flow t/h, GCV kcal/kg, generation MW, efficiencies %.
+//   specific coal consumption  SCC kg/kWh   = flow x 1000 / (generation x 1000) = flow / generation
+//   station heat rate          SHR kcal/kWh = SCC x GCV
+//   station efficiency         %            = 860 / SHR x 100   (1 kWh = 860 kcal)
+// Optional inputs (per blend):
+//   boilerEfficiency %        -> turbine heat rate THR kcal/kWh = SHR x boilerEfficiency / 100
+//   turbineHeatRate kcal/kWh  -> turbine cycle efficiency % = 860 / THR x 100
+//   both                      -> expected SHR = THR / (boilerEfficiency / 100) and the coal flow
+//                                that generation needs at the blend's GCV (t/h = generation x SHR / GCV)
+// A figure is null when any of its inputs is missing or zero. The legacy `heatRate` field holds
+// the same SHR number without the null handling and is kept for older clients only.
+const KCAL_PER_KWH = 860;
+const PERFORMANCE_INPUTS = ['boilerEfficiency', 'turbineHeatRate'];
+const DEPRECATED_BLEND_FIELDS = {
+  heatRate: 'Deprecated: use performance.stationHeatRateKcalPerKWh (kcal/kWh)'
+};
+
+function validatePerformanceInputs(body) {
+  const errors = [];
+  const out = {};
+  PERFORMANCE_INPUTS.forEach(k => {
+    if (!body || body[k] === undefined) return;
+    if (body[k] === null || body[k] === '') { out[k] = null; return; }
+    const n = Number(body[k]);
+    if (k === 'boilerEfficiency' && !(isFinite(n) && n > 0 && n <= 100)) errors.push('boilerEfficiency must be a percentage above 0 and at most 100');
+    else if (k === 'turbineHeatRate' && !(isFinite(n) && n > KCAL_PER_KWH)) errors.push(`turbineHeatRate must be a number above ${KCAL_PER_KWH} kcal/kWh`);
+    else out[k] = n;
+  });
+  return { inputs: out, errors };
+}
+
+function stationPerformance(totalFlow, avgGCV, generation, inputs = {}) {
+  const flow = Number(totalFlow) || 0;
+  const gcv = Number(avgGCV) || 0;
+  const gen = Number(generation) || 0;
+  const boilerEfficiency = numberOrNull(inputs.boilerEfficiency);
+  const turbineHeatRate = numberOrNull(inputs.turbineHeatRate);
+
+  const scc = (flow > 0 && gen > 0) ? flow / gen : null;
+  const shr = (scc !== null && gcv > 0) ? scc * gcv : null;
+  const expectedSHR = (boilerEfficiency && turbineHeatRate) ? turbineHeatRate / (boilerEfficiency / 100) : null;
+  const thr = turbineHeatRate || ((shr !== null && boilerEfficiency) ? shr * boilerEfficiency / 100 : null);
+
+  return {
+    specificCoalConsumptionKgPerKWh: scc,
+    stationHeatRateKcalPerKWh: shr,
+    stationEfficiencyPct: shr ? KCAL_PER_KWH / shr * 100 : null,
+    boilerEfficiencyPct: boilerEfficiency,
+    turbineHeatRateKcalPerKWh: thr,
+    turbineEfficiencyPct: thr ? KCAL_PER_KWH / thr * 100 : null,
+    expectedStationHeatRateKcalPerKWh: expectedSHR,
+    expectedCoalFlowTph: (expectedSHR !== null && gen > 0 && gcv > 0) ? gen * expectedSHR / gcv : null,
+    heatRateDeviationKcalPerKWh: (expectedSHR !== null && shr !== null) ? shr - expectedSHR : null,
+    inputs: { boilerEfficiency, turbineHeatRate }
+  };
+}
+
+// response copy of a blend / metrics object with its deprecated fields flagged
+function flagDeprecatedFields(obj) {
+  const deprecated = {};
+  Object.keys(DEPRECATED_BLEND_FIELDS).forEach(k => {
+    if (obj && obj[k] !== undefined) deprecated[k] = DEPRECATED_BLEND_FIELDS[k];
+  });
+  return Object.keys(deprecated).length ? Object.assign({}, obj, { deprecated }) : obj;
+}
+
+/* -------------------- GCV basis conversions (ARB / ADB / DB / DAF) -------------------- */
+// Each analysis declares the basis its gcv is reported on (gcvBasis, default ARB). The moisture
+// and ash needed to convert it are always read on their usual bases:
+//   totalMoisture TM % as received, inherentMoisture IM % air dried, ash % as received.
+// Factors to dry basis:
+//   ARB -> DB  x 100 / (100 - TM)
+//   ADB -> DB  x 100 / (100 - IM)
+//   DAF -> DB  x (100 - Ash_db) / 100,  Ash_db = ash x 100 / (100 - TM)
+const GCV_BASES = ['ARB', 'ADB', 'DB', 'DAF'];
+const DEFAULT_GCV_BASIS = 'ARB';
+const GCV_BASIS_ALIASES = { AR: 'ARB', ASRECEIVED: 'ARB', AD: 'ADB', AIRDRIED: 'ADB', D: 'DB', DRY: 'DB', DRYASHFREE: 'DAF' };
+
+// 'arb', 'As received', 'dry' ... -> one of GCV_BASES; '' for blank, null when unknown
+function normalizeGcvBasis(v) {
+  if (isBlank(v)) return '';
+  const key = String(v).toUpperCase().replace(/[^A-Z]/g, '');
+  if (GCV_BASES.includes(key)) return key;
+  return GCV_BASIS_ALIASES[key] || null;
+}
+
+// multiplier from `basis` to dry basis for this coal, or { missing: [fields] }
+function dryBasisFactor(basis, coal) {
+  const tm = numberOrNull(coal && coal.totalMoisture);
+  const im = numberOrNull(coal && coal.inherentMoisture);
+  const ash = numberOrNull(coal && coal.ash);
+  if (basis === 'DB') return { factor: 1 };
+  if (basis === 'ARB') return (tm === null || tm >= 100) ? { missing: ['totalMoisture'] } : { factor: 100 / (100 - tm) };
+  if (basis === 'ADB') return (im === null || im >= 100) ? { missing: ['inherentMoisture'] } : { factor: 100 / (100 - im) };
+  const missing = [];
+  if (tm === null || tm >= 100) missing.push('totalMoisture');
+  if (ash === null) missing.push('ash');
+  if (missing.length) return { missing };
+  const ashDb = ash * 100 / (100 - tm);
+  return ashDb >= 100 ? { missing: ['ash'] } : { factor: (100 - ashDb) / 100 };
+}
+
+/**
+ * GCV of `coal` (or `value` when given, on the coal's basis) converted to basis `to`.
+ * Returns { value, missing } with value null when a moisture / ash value the conversion needs is missing.
+ */
+function convertGcv(coal, to, value) {
+  const from = normalizeGcvBasis(coal && coal.gcvBasis) || DEFAULT_GCV_BASIS;
+  const gcv = Number(value !== undefined ? value : (coal && coal.gcv)) || 0;
+  if (from === to || gcv === 0) return { value: gcv, missing: [] };
+  const a = dryBasisFactor(from, coal);
+  const b = dryBasisFactor(to, coal);
+  const missing = [...new Set([].concat(a.missing || [], b.missing || []))];
+  if (missing.length) return { value: null, missing };
+  return { value: gcv * a.factor / b.factor, missing: [] };
+}
+
+/* -------------------- compute blend metrics (per-mill aware) -------------------- */
+// helper to get per-mill coalRef from row (row.coal may be string or object)
+function coalRefForRowAndMill(row, mill) {
+  if (!row) return null;
+  if (row.coal && typeof row.coal === 'object' && row.coal !== null) {
+    return row.coal[String(mill)] || '';
+  }
+  return row.coal || '';
+}
+
+/**
+ * Blend rows whose coal reference does not resolve to a coal (so their oxides/GCV drop out
+ * of the metrics). Only mills where the row has a non-zero percentage count.
+ * Returns [{ row (1-based), ref, mills: [millIndex...] }].
+ */
+function findUnresolvedCoalRefs(rows, resolver, millCount = DEFAULT_MILL_COUNT) {
+  const out = [];
+  (rows || []).forEach((row, i) => {
+    const byRef = {};
+    for (let m = 0; m < millCount; m++) {
+      const perc = (row && Array.isArray(row.percentages)) ? Number(row.percentages[m]) || 0 : 0;
+      if (perc <= 0) continue;
+      const ref = coalRefForRowAndMill(row, m);
+      if (!ref || resolver.resolve(ref)) continue;
+      const key = String(ref);
+      if (!byRef[key]) { byRef[key] = { row: i + 1, ref: key, mills: [] }; out.push(byRef[key]); }
+      byRef[key].mills.push(m);
+    }
+  });
+  return out;
+}
+
+// coal master as blended at `asOf`: effective analysis per coal, landed cost when under contract
+async function loadBlendCoals(asOf = null) {
+  const contracts = await Contract.find().lean();
+  return (await Coal.find().lean()).map(c => coalWithLandedCost(coalAsOf(c, asOf), contracts, asOf));
+}
+
+// cost per tonne of a row's coal: contract landed cost, else the row's typed cost, else the coal's cost
+// (saved rows carry cost 0 when none was typed, so 0 falls through to the coal)
+function coalCostPerTonne(coalDoc, row) {
+  if (coalDoc && coalDoc.landed) return coalDoc.landed.landedCost;
+  if (row && Number(row.cost) > 0) return Number(row.cost);
+  return coalDoc ? (Number(coalDoc.cost) || 0) : 0;
+}
+
+// cost per tonne of the layer a row puts in one bunker; a per-mill coal object shares one typed
+// row cost between different coals, so there the resolved coal's own cost wins
+function layerCostPerTonne(row, coalDoc) {
+  const perMillCoal = row && row.coal && typeof row.coal === 'object';
+  return coalCostPerTonne(coalDoc, (perMillCoal && coalDoc) ? null : row);
+}
+
+// gcv of a row's coal on the coal's gcvBasis: the row's typed gcv, else the coal's
+// (saved rows carry gcv 0 when none was typed, so 0 falls through to the coal as cost does)
+function rowGcv(row, coalDoc) {
+  if (row && Number(row.gcv) > 0) return Number(row.gcv);
+  return coalDoc ? (Number(coalDoc.gcv) || 0) : 0;
+}
+
+async function computeBlendMetrics(rows, flows, generation, coalColorMap = {}, asOf = null, options = {}) {
+  // rows: array (each row may have: coal (string or object), percentages[], gcv, cost)
+  // asOf: blend timestamp; each coal contributes the analysis (lot) effective at that time
+  // and, when under contract, the landed cost of the contract valid at that time
+  // options.aftModel: AFT correlation (see AFT_MODELS / AftModel), default-3band when omitted
+  // options.emissionSettings: see EMISSION_DEFAULTS
+  // options.millCount: mills/bunkers to compute (per-mill arrays have this length)
+  // options.performance: { boilerEfficiency?, turbineHeatRate? } (see stationPerformance)
+  // options.gcvBasis: reporting basis of blendedGCVPerMill / avgGCV (default ARB); every coal's gcv is
+  // converted to it before blending (see convertGcv). Heat rates always use the ARB blend, as flows are as fired.
+  const millCount = parseMillCount(options.millCount) || DEFAULT_MILL_COUNT;
+  const aftModel = options.aftModel || AFT_MODELS[DEFAULT_AFT_MODEL];
+  const emissionSettings = Object.assign({}, EMISSION_DEFAULTS, options.emissionSettings || {});
+  const gcvBasis = normalizeGcvBasis(options.gcvBasis) || DEFAULT_GCV_BASIS;
+  const oxKeys = ["SiO2","Al2O3","Fe2O3","CaO","MgO","Na2O","K2O","SO3","TiO2"];
+
+  // Load all coal docs (and contracts) once
+  const allCoals = await loadBlendCoals(asOf);
+  const resolver = buildCoalResolver(allCoals);
+
+  // id, name or alias (whitespace/punctuation-insensitive)
+  function findCoalRef(ref) {
+    return resolver.resolve(ref);
+  }
+
+  // Helper to resolve a colour for a coal reference / coalDoc
+  function resolveColorForCoal(coalRef, coalDoc) {
+    // 1) prefer DB coalDoc.color
+    if (coalDoc && coalDoc.color) {
+      return String(coalDoc.color).trim();
+    }
+
+    // Normalize helpers
+    const tryKeys = k => {
+      if (!k && k !== 0) return null;
+      if (coalColorMap == null) return null;
+      if (coalColorMap[k]) return coalColorMap[k];
+      return null;
+    };
+
+    // 2) try keys related to the coalDoc._id
+    if (coalDoc && coalDoc._id) {
+      const idStr = String(coalDoc._id);
+      // common client maps may store "id:<id>" or raw id
+      const v1 = tryKeys(`id:${idStr}`) || tryKeys(idStr);
+      if (v1) return String(v1).trim();
+    }
+
+    // 3) try keys related to the coalRef value (name or id)
+    if (coalRef) {
+      const refStr = String(coalRef);
+      const v2 = tryKeys(`name:${refStr}`) || tryKeys(refStr);
+      if (v2) return String(v2).trim();
+
+      const lowerRef = refStr.toLowerCase();
+      const v3 = tryKeys(lowerRef);
+      if (v3) return String(v3).trim();
+    }
+
+    // 4) try the resolved coal's color (if earlier lookups didn't have color)
+    if (coalRef) {
+      const byNameEntry = resolver.resolve(coalRef);
+      if (byNameEntry && byNameEntry.color) return String(byNameEntry.color).trim();
+    }
+
+    // no color found
+    return '';
+  }
+
+  // per basis: blended GCV per mill, null when a coal's gcv cannot be converted to that basis
+  const gcvPerMillByBasis = {};
+  GCV_BASES.forEach(b => { gcvPerMillByBasis[b] = []; });
+  const gcvConversionIssues = [];
+  function noteConversionIssue(coal, from, to, missing, mill) {
+    let entry = gcvConversionIssues.find(e => e.coal === coal && e.to === to);
+    if (!entry) { entry = { coal, from, to, missing, mills: [] }; gcvConversionIssues.push(entry); }
+    if (!entry.mills.includes(mill)) entry.mills.push(mill);
+  }
+  const aftPerMill = [];
+  // proximate/HGI per mill: weighted over the coals that have a value (null if none do).
+  // HGI is blended linearly, the usual approximation for the mill feed.
+  const proximatePerMill = {};
+  COAL_PROXIMATE_FIELDS.forEach(f => { proximatePerMill[f] = []; });
+  const sulphurPerMill = [];
+  const indicesPerMill = {};
+  ASH_INDEX_FIELDS.forEach(f => { indicesPerMill[f] = []; });
+
+  for (let m = 0; m < millCount; m++) {
+    const blendedGCV = {};
+    GCV_BASES.forEach(b => { blendedGCV[b] = 0; });
+    const ox = {};
+    oxKeys.forEach(k => ox[k] = 0);
+    const prox = {};
+    COAL_PROXIMATE_FIELDS.forEach(f => { prox[f] = { sum: 0, weight: 0 }; });
+    const sulphur = { sum: 0, weight: 0 };
+
+    for (let i = 0; i < (rows ? rows.length : 0); i++) {
+      const row = rows[i] || {};
+      const perc = (Array.isArray(row.percentages) && row.percentages[m]) ? Number(row.percentages[m]) : 0;
+      const weight = perc / 100;
+
+      // resolve per-mill coalRef if supplied
+      const coalRef = coalRefForRowAndMill(row, m);
+      const coalDoc = findCoalRef(coalRef);
+
+      // gcv: the row's typed gcv else the coal's (see rowGcv)
+      const gcvVal = rowGcv(row, coalDoc);
+      if (weight > 0) {
+        GCV_BASES.forEach(b => {
+          if (blendedGCV[b] === null) return;
+          const conv = convertGcv(coalDoc || row, b, gcvVal);
+          if (conv.value === null) {
+            blendedGCV[b] = null;
+            if (b === gcvBasis || b === 'ARB') {
+              noteConversionIssue(coalDoc ? coalDoc.coal : String(coalRef || ''), normalizeGcvBasis((coalDoc || row).gcvBasis) || DEFAULT_GCV_BASIS, b, conv.missing, m);
+            }
+            return;
+          }
+          blendedGCV[b] += conv.value * weight;
+        });
+      }
+
+      // accumulate oxides from coalDoc if present (or from row(if provided))
+      if (coalDoc) {
+        oxKeys.forEach(k => {
+          ox[k] += (Number(coalDoc[k]) || 0) * weight;
+        });
+      } else {
+        oxKeys.forEach(k => {
+          if (row[k] !== undefined && row[k] !== null && row[k] !== '') {
+            ox[k] += (Number(row[k]) || 0) * weight;
+          }
+        });
+      }
+
+      if (weight > 0) {
+        COAL_PROXIMATE_FIELDS.forEach(f => {
+          const v = numberOrNull(coalDoc ? coalDoc[f] : row[f]);
+          if (v === null) return;
+          prox[f].sum += v * weight;
+          prox[f].weight += weight;
+        });
+        const s = numberOrNull(coalDoc ? coalDoc.SulphurS : row.SulphurS);
+        if (s !== null) {
+          sulphur.sum += s * weight;
+          sulphur.weight += weight;
+        }
+      }
+    } // rows loop
+
+    COAL_PROXIMATE_FIELDS.forEach(f => {
+      proximatePerMill[f].push(prox[f].weight > 0 ? Number(prox[f].sum / prox[f].weight) : null);
+    });
+    GCV_BASES.forEach(b => { gcvPerMillByBasis[b].push(blendedGCV[b] === null ? null : Number(blendedGCV[b])); });
+    const oxTotal = Object.values(ox).reduce((s, v) => s + (Number(v) || 0), 0);
+    const aftVal = (oxTotal === 0) ? null : Number(calcAFT(ox, aftModel));
+    aftPerMill.push(aftVal);
+
+    const millSulphur = sulphur.weight > 0 ? Number(sulphur.sum / sulphur.weight) : null;
+    sulphurPerMill.push(millSulphur);
+    const indices = (oxTotal === 0) ? {} : ashIndices(ox, millSulphur);
+    ASH_INDEX_FIELDS.forEach(f => {
+      indicesPerMill[f].push(indices[f] === undefined ? null : indices[f]);
+    });
+  } // mills loop
+
+  // totals & weighted averages using flows
+  let totalFlow = 0;
+  let weightedAFT = 0;
+  let contributedAFTFlow = 0;
+
+  for (let m = 0; m < millCount; m++) {
+    const flow = (Array.isArray(flows) && flows[m]) ? Number(flows[m]) : 0;
+    totalFlow += flow;
+
+    const aftVal = aftPerMill[m];
+    if (aftVal !== null && !isNaN(aftVal)) {
+      weightedAFT += flow * aftVal;
+      contributedAFTFlow += flow;
+    }
+  }
+
+  // flow-weighted GCV per basis; null when a burning mill has no value on that basis
+  const blendedGCVByBasis = {};
+  GCV_BASES.forEach(b => {
+    let weighted = 0, missing = false;
+    for (let m = 0; m < millCount; m++) {
+      const flow = (Array.isArray(flows) && flows[m]) ? Number(flows[m]) : 0;
+      if (!flow) continue;
+      if (gcvPerMillByBasis[b][m] === null) { missing = true; break; }
+      weighted += flow * gcvPerMillByBasis[b][m];
+    }
+    blendedGCVByBasis[b] = { perMill: gcvPerMillByBasis[b], avg: missing ? null : (totalFlow > 0 ? weighted / totalFlow : 0) };
+  });
+  const blendedGCVPerMill = gcvPerMillByBasis[gcvBasis];
+  const avgGCV = blendedGCVByBasis[gcvBasis].avg;
+  const avgGCVArb = blendedGCVByBasis.ARB.avg;
+  const avgAFT = contributedAFTFlow > 0 ? (weightedAFT / contributedAFTFlow) : null;
+
+  // unit-level indices: flow-weighted over the mills that have a value (like avgAFT)
+  const avgIndices = {};
+  ASH_INDEX_FIELDS.forEach(f => {
+    let sum = 0, weight = 0;
+    for (let m = 0; m < millCount; m++) {
+      const flow = (Array.isArray(flows) && flows[m]) ? Number(flows[m]) : 0;
+      const val = indicesPerMill[f][m];
+      if (val === null || isNaN(val) || !flow) continue;
+      sum += flow * val;
+      weight += flow;
+    }
+    avgIndices[f] = weight > 0 ? sum / weight : null;
+  });
+  // legacy: t/h x kcal/kg / MW is numerically kcal/kWh; superseded by performance.stationHeatRateKcalPerKWh
+  const heatRate = (generation && generation > 0 && totalFlow > 0 && avgGCVArb !== null) ? ((totalFlow * avgGCVArb) / generation) : null;
+
+  // fuel cost from what each mill actually burns:
+  //   mill cost/t   = sum over layers (layer % / 100 x layer cost/t)   (a contract's landed cost wins)
+  //   cost/h        = sum over mills (flow t/h x mill cost/t)
+  //   costRate (/t) = cost/h / total flow;  cost/MWh = cost/h / generation (MW)
+  const costPerMill = [];
+  let fuelCostPerHour = 0;
+  for (let m = 0; m < millCount; m++) {
+    let millCost = 0;
+    (rows || []).forEach(row => {
+      const pct = (row && Array.isArray(row.percentages)) ? Number(row.percentages[m]) || 0 : 0;
+      if (pct <= 0) return;
+      millCost += pct / 100 * layerCostPerTonne(row, findCoalRef(coalRefForRowAndMill(row, m)));
+    });
+    costPerMill.push(Number(millCost));
+    const flow = (Array.isArray(flows) && flows[m]) ? Number(flows[m]) : 0;
+    fuelCostPerHour += flow * millCost;
+  }
+  const costRate = totalFlow > 0 ? (fuelCostPerHour / totalFlow) : 0;
+  const fuelCostPerMWh = (generation && generation > 0 && totalFlow > 0) ? fuelCostPerHour / generation : null;
+
+  // Build per-bunker structure (independent storage) and include colors
+  const bunkers = [];
+  for (let m = 0; m < millCount; m++) {
+    const layers = [];
+    for (let rIdx = 0; rIdx < (rows || []).length; rIdx++) {
+      const row = rows[rIdx];
+      const pct = (Array.isArray(row.percentages) && row.percentages[m]) ? Number(row.percentages[m]) : 0;
+      if (!pct || pct <= 0) continue;
+      const coalRef = coalRefForRowAndMill(row, m);
+      const coalDoc = findCoalRef(coalRef);
+
+      // Resolve color using helper
+      const layerColor = resolveColorForCoal(coalRef, coalDoc);
 
       layers.push({
         rowIndex: rIdx + 1,
         coal: coalDoc ? coalDoc.coal : (coalRef || ''),
         percent: Number(pct),
         gcv: coalDoc ? (Number(coalDoc.gcv) || Number(row.gcv || 0)) : Number(row.gcv || 0),
-        cost: coalDoc ? (Number(coalDoc.cost) || Number(row.cost || 0)) : Number(row.cost || 0),
-        color: layerColor || ''
+        cost: Number(layerCostPerTonne(row, coalDoc)),
+        color: layerColor || '',
+        lotId: coalDoc ? (coalDoc.lotId || '') : ''
       });
     }
-    bunkers.push({ layers });
+    bunkers.push({ layers });
+  }
+
+  return {
+    totalFlow: Number(totalFlow),
+    avgGCV: (avgGCV === null ? null : Number(avgGCV)),
+    gcvBasis,
+    avgAFT: (avgAFT === null ? null : Number(avgAFT)),
+    heatRate: (heatRate === null ? null : Number(heatRate)),
+    performance: stationPerformance(totalFlow, avgGCVArb, generation, options.performance || {}),
+    costRate: Number(costRate),
+    costPerMill,
+    fuelCostPerHour: totalFlow > 0 ? Number(fuelCostPerHour) : null,
+    fuelCostPerMWh,
+    aftPerMill: aftPerMill.map(v => (v === null ? null : Number(v))),
+    blendedGCVPerMill: blendedGCVPerMill.map(v => (v === null ? null : Number(v))),
+    blendedGCVByBasis,
+    gcvConversionIssues,
+    moisturePerMill: proximatePerMill.totalMoisture,
+    ashPerMill: proximatePerMill.ash,
+    volatileMatterPerMill: proximatePerMill.volatileMatter,
+    fixedCarbonPerMill: proximatePerMill.fixedCarbon,
+    hgiPerMill: proximatePerMill.hgi,
+    carbonPerMill: proximatePerMill.carbon,
+    sulphurPerMill,
+    baseAcidRatioPerMill: indicesPerMill.baseAcidRatio,
+    slaggingIndexPerMill: indicesPerMill.slaggingIndex,
+    foulingIndexPerMill: indicesPerMill.foulingIndex,
+    silicaRatioPerMill: indicesPerMill.silicaRatio,
+    feCaRatioPerMill: indicesPerMill.feCaRatio,
+    avgBaseAcidRatio: avgIndices.baseAcidRatio,
+    avgSlaggingIndex: avgIndices.slaggingIndex,
+    avgFoulingIndex: avgIndices.foulingIndex,
+    avgSilicaRatio: avgIndices.silicaRatio,
+    avgFeCaRatio: avgIndices.feCaRatio,
+    emissions: blendEmissions(Array.from({ length: millCount }, (v, m) => (Array.isArray(flows) ? flows[m] : 0)), { sulphur: sulphurPerMill, ash: proximatePerMill.ash, carbon: proximatePerMill.carbon }, generation, emissionSettings),
+    aftModel: aftModelSummary(aftModel),
+    unresolvedCoalRefs: findUnresolvedCoalRefs(rows, resolver, millCount),
+    bunkers
+  };
+}
+
+/* -------------------- Coal yard inventory (receipts - bunker consumption) -------------------- */
+// stock movements in tonnes: receipts are positive, consumption negative, adjustments either sign
+const StockMovementSchema = new mongoose.Schema({
+  coalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coal' },
+  coal: String,
+  type: { type: String, enum: ['receipt', 'consumption', 'adjustment'], required: true },
+  tonnes: { type: Number, required: true },
+  at: { type: Date, default: Date.now },
+  // consumption: unit / blend and the period it covers
+  unit: Number,
+  blendId: { type: mongoose.Schema.Types.ObjectId, ref: 'Blend' },
+  from: Date,
+  lotId: String,
+  note: String
+}, { collection: 'stockmovements', timestamps: true });
+
+const StockMovement = mongoose.models.StockMovement || mongoose.model('StockMovement', StockMovementSchema);
+
+// hours of burn a blend's coals must be covered for before PUT /api/blend/:id warns
+const STOCK_WARN_HOURS = Number(process.env.STOCK_WARN_HOURS || 24);
+
+/**
+ * Coal burn rate (t/h) for a blend at `at`: each mill's flow split over the coals leaving its
+ * bunker (outlet shares under its discharge model, see bunkerState); an empty bunker burns nothing.
+ * Returns { coalNameKey: { coal, tph } }.
+ */
+function blendBurnRates(blend, at = new Date()) {
+  const rates = {};
+  ((blend && blend.bunkers) || []).forEach((b, m) => {
+    const state = bunkerState(blend, m, at);
+    if (state.flow <= 0) return;
+    state.outlet.forEach(o => {
+      const key = coalNameKey(o.coal);
+      if (!key) return;
+      if (!rates[key]) rates[key] = { coal: o.coal, tph: 0 };
+      rates[key].tph += state.flow * o.share;
+    });
+  });
+  return rates;
+}
+
+// unit number for each blend id currently mapped to a unit
+async function unitByBlendId() {
+  const maps = await UnitMap.find({}).lean();
+  const out = {};
+  maps.forEach(m => { out[String(m.blendId)] = m.unit; });
+  return out;
+}
+
+/**
+ * Consumption movements for a unit blend between its consumptionAccruedAt and `until`: the tonnes
+ * each bunker layer lost over the period (bunkerState, so the discharge model decides which coal
+ * left and an empty bunker stops burning). Blends never accrued before book nothing (no back-fill).
+ */
+function consumptionSince(blend, unit, until, coalByKey) {
+  const from = blend.consumptionAccruedAt ? new Date(blend.consumptionAccruedAt) : null;
+  if (!from || until <= from) return [];
+  const drained = {};
+  ((blend && blend.bunkers) || []).forEach((b, m) => {
+    const after = bunkerState(blend, m, until);
+    bunkerState(blend, m, from).layers.forEach((l, i) => {
+      const key = coalNameKey(l.coal);
+      const tonnes = l.tonnes - after.layers[i].tonnes;
+      if (!key || tonnes <= 1e-9) return;
+      if (!drained[key]) drained[key] = { coal: l.coal, tonnes: 0 };
+      drained[key].tonnes += tonnes;
+    });
+  });
+  return Object.keys(drained).map(key => {
+    const c = coalByKey[key];
+    return {
+      coalId: c ? c._id : undefined,
+      coal: c ? c.coal : drained[key].coal,
+      type: 'consumption',
+      tonnes: -drained[key].tonnes,
+      at: until,
+      from,
+      unit,
+      blendId: blend._id
+    };
+  });
+}
+
+// coalNameKey(name or alias) -> coal
+async function coalLookupByName() {
+  return buildCoalResolver(await Coal.find({}, { coal: 1, aliases: 1, retired: 1 }).lean()).byKey;
+}
+
+/**
+ * Book the consumption of a unit blend up to `until` and move its consumptionAccruedAt there
+ * (a blend never accrued starts accruing from `until`). Called before the blend's bunkers are
+ * rewritten, so the burn is charged to the contents/flows that were actually running.
+ * The watermark is moved first, conditional on the value read: a concurrent accrual of the same
+ * period finds it moved and books nothing. It is put back if the movements cannot be written.
+ */
+async function accrueBlendConsumption(blend, unit, until = new Date()) {
+  if (!blend || !unit) return [];
+  const from = blend.consumptionAccruedAt || null;
+  if (from && until <= new Date(from)) return [];
+  const movements = from ? consumptionSince(blend, unit, until, await coalLookupByName()) : [];
+  const claimed = await Blend.updateOne({ _id: blend._id, consumptionAccruedAt: from }, { $set: { consumptionAccruedAt: until } });
+  if (!claimed.modifiedCount || !movements.length) return [];
+  try {
+    await StockMovement.insertMany(movements);
+  } catch (err) {
+    await Blend.updateOne({ _id: blend._id, consumptionAccruedAt: until }, { $set: { consumptionAccruedAt: from } });
+    throw err;
+  }
+  return movements;
+}
+
+/**
+ * Current stock per coal: booked movements plus the not-yet-booked consumption of every
+ * unit blend up to `at`. Returns [{ coalId, coal, received, consumed, adjusted, stock,
+ * burnRateTph, daysOfCover }] (daysOfCover null when the coal is not being burnt).
+ */
+async function computeStock(at = new Date()) {
+  const coalByKey = await coalLookupByName();
+  const movements = await StockMovement.find({ at: { $lte: at } }).lean();
+
+  const maps = await UnitMap.find({}).lean();
+  const blends = await Blend.find({ _id: { $in: maps.map(m => m.blendId) } }).lean();
+  const unitOf = {};
+  maps.forEach(m => { unitOf[String(m.blendId)] = m.unit; });
+
+  const rows = {};
+  function rowFor(name, coalId) {
+    const key = coalNameKey(name);
+    if (!rows[key]) {
+      const c = coalByKey[key];
+      rows[key] = { coalId: c ? c._id : (coalId || null), coal: c ? c.coal : name, received: 0, consumed: 0, adjusted: 0, stock: 0, burnRateTph: 0, daysOfCover: null };
+    }
+    return rows[key];
+  }
+
+  Object.values(coalByKey).forEach(c => rowFor(c.coal, c._id));
+  movements.forEach(mv => {
+    const r = rowFor(mv.coal, mv.coalId);
+    const t = Number(mv.tonnes) || 0;
+    if (mv.type === 'receipt') r.received += t;
+    else if (mv.type === 'consumption') r.consumed -= t;
+    else r.adjusted += t;
+  });
+  blends.forEach(b => {
+    consumptionSince(b, unitOf[String(b._id)], at, coalByKey).forEach(mv => { rowFor(mv.coal, mv.coalId).consumed -= mv.tonnes; });
+    const rates = blendBurnRates(b, at);
+    Object.keys(rates).forEach(key => { rowFor(rates[key].coal).burnRateTph += rates[key].tph; });
+  });
+
+  return Object.values(rows).map(r => {
+    r.stock = r.received - r.consumed + r.adjusted;
+    r.daysOfCover = r.burnRateTph > 0 ? Math.max(0, r.stock) / (r.burnRateTph * 24) : null;
+    return r;
+  }).sort((a, b) => String(a.coal).localeCompare(String(b.coal)));
+}
+
+/**
+ * Coals burnt by `blend` whose yard stock does not cover `hours` of its burn.
+ * `stock` comes from computeStock() (its burnRateTph is the yard-wide rate over all units).
+ */
+function stockWarningsForBlend(blend, stock, hours = STOCK_WARN_HOURS) {
+  const byKey = {};
+  stock.forEach(s => { byKey[coalNameKey(s.coal)] = s; });
+  const rates = blendBurnRates(blend);
+  return Object.keys(rates).map(key => {
+    const s = byKey[key];
+    const available = s ? s.stock : 0;
+    const required = rates[key].tph * hours;
+    if (available > 0 && available >= required) return null;
+    return {
+      coal: s ? s.coal : rates[key].coal,
+      stock: available,
+      burnRateTph: rates[key].tph,
+      requiredTonnes: required,
+      hours,
+      daysOfCover: s ? s.daysOfCover : null,
+      message: available <= 0 ? 'no stock in yard' : `stock covers only ${(available / rates[key].tph).toFixed(1)} h of burn`
+    };
+  }).filter(Boolean);
+}
+
+// GET /api/inventory?at=<date> -> stock and days-of-cover per coal
+app.get('/api/inventory', async (req, res) => {
+  try {
+    const at = req.query.at ? parseDateValue(req.query.at) : new Date();
+    if (!at) return res.status(400).json({ error: 'at must be a valid date' });
+    const stock = await computeStock(at);
+    return res.json({ at, coals: stock });
+  } catch (err) {
+    console.error('GET /api/inventory error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// GET /api/inventory/movements?coal=<id|name>&type=&limit= -> latest movements first
+app.get('/api/inventory/movements', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.type) filter.type = String(req.query.type);
+    if (req.query.coal) {
+      const ref = String(req.query.coal);
+      filter.$or = mongoose.isValidObjectId(ref) ? [{ coalId: ref }, { coal: ref }] : [{ coal: new RegExp('^' + escapeRegex(ref) + '$', 'i') }];
+    }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 2000);
+    const items = await StockMovement.find(filter).sort({ at: -1 }).limit(limit).lean();
+    return res.json(items);
+  } catch (err) {
+    console.error('GET /api/inventory/movements error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/**
+ * POST /api/inventory/receipts    Body: { coal: <id|name>, tonnes > 0, at?, lotId?, note? }
+ * POST /api/inventory/adjustments Body: { coal: <id|name>, tonnes (+/-), at?, note? } (stock-take corrections)
+ */
+async function recordMovement(req, res, type) {
+  try {
+    const { coal: ref, lotId, note } = req.body || {};
+    const tonnes = Number((req.body || {}).tonnes);
+    if (!ref) return res.status(400).json({ error: 'coal (id or name) required' });
+    if (!isFinite(tonnes) || tonnes === 0 || (type === 'receipt' && tonnes < 0)) {
+      return res.status(400).json({ error: type === 'receipt' ? 'tonnes must be a positive number' : 'tonnes must be a non-zero number' });
+    }
+    const at = req.body.at ? parseDateValue(req.body.at) : new Date();
+    if (!at) return res.status(400).json({ error: 'at must be a valid date' });
+
+    const coal = mongoose.isValidObjectId(ref)
+      ? await Coal.findById(ref).lean()
+      : (await coalLookupByName())[coalNameKey(ref)];
+    if (!coal) return res.status(404).json({ error: 'Coal not found' });
+
+    const mv = await StockMovement.create({ coalId: coal._id, coal: coal.coal, type, tonnes, at, lotId: lotId || '', note: note || '' });
+    return res.status(201).json({ message: 'Recorded', movement: mv });
+  } catch (err) {
+    console.error(`POST /api/inventory/${type} error:`, err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+}
+
+app.post('/api/inventory/receipts', (req, res) => recordMovement(req, res, 'receipt'));
+app.post('/api/inventory/adjustments', (req, res) => recordMovement(req, res, 'adjustment'));
+
+/* -------------------- Bunker discharge models -------------------- */
+// plug   : funnel-free FIFO, the bottom layer discharges completely before the one above it
+// mixed  : fully mixed, every layer discharges in proportion to its tonnes
+// hybrid : the bottom mixingZonePct of the bunker capacity is a fully mixed zone; the column
+//          above it descends plug-wise into the zone as coal is drawn off
+// Only per-layer tonnes are stored: with the column FIFO, the zone always holds the bottom
+// `zone` tonnes in stack order, so the state is rebuilt exactly from the layer totals.
+const DISCHARGE_MODELS = ['plug', 'mixed', 'hybrid'];
+const DEFAULT_DISCHARGE = { model: 'plug', mixingZonePct: 30 };
+
+// { discharge, errors } for one bunker's { model?, mixingZonePct? } on top of `base`
+function validateDischarge(input, base = DEFAULT_DISCHARGE, label = 'discharge') {
+  const errors = [];
+  const out = { model: base.model, mixingZonePct: base.mixingZonePct };
+  if (!input || typeof input !== 'object') return { discharge: out, errors };
+  if (input.model !== undefined) {
+    const model = String(input.model || '').trim().toLowerCase();
+    if (!DISCHARGE_MODELS.includes(model)) errors.push(`${label}.model must be one of ${DISCHARGE_MODELS.join(', ')}`);
+    else out.model = model;
+  }
+  if (input.mixingZonePct !== undefined) {
+    const n = Number(input.mixingZonePct);
+    if (input.mixingZonePct === null || input.mixingZonePct === '') out.mixingZonePct = DEFAULT_DISCHARGE.mixingZonePct;
+    else if (!isFinite(n) || n <= 0 || n > 100) errors.push(`${label}.mixingZonePct must be a number in (0, 100]`);
+    else out.mixingZonePct = n;
+  }
+  return { discharge: out, errors };
+}
+
+function dischargeOf(bunker) {
+  return validateDischarge(bunker && bunker.discharge).discharge;
+}
+
+// layers sorted outlet first
+function stackFromBottom(layers) {
+  return layers.slice().sort((a, b) => b.rowIndex - a.rowIndex);
+}
+
+// hybrid state: tonnes per rowIndex in the mixing zone, and the column above it (outlet first)
+function splitMixingZone(layers, zone) {
+  const zoneTonnes = {};
+  const column = [];
+  let room = zone;
+  stackFromBottom(layers).forEach(l => {
+    const inZone = Math.min(l.tonnes, room);
+    room -= inZone;
+    zoneTonnes[l.rowIndex] = inZone;
+    if (l.tonnes - inZone > 0) column.push({ rowIndex: l.rowIndex, tonnes: l.tonnes - inZone });
+  });
+  return { zoneTonnes, column };
+}
+
+function drainProportionally(byRow, burnt) {
+  const total = Object.keys(byRow).reduce((sum, k) => sum + byRow[k], 0);
+  const keep = total > 0 ? Math.max(0, total - burnt) / total : 0;
+  Object.keys(byRow).forEach(k => { byRow[k] *= keep; });
+}
+
+/**
+ * Layers (stored order) with `tonnes` reduced by `burnt` under `discharge`.
+ * Hybrid: while the column lasts the zone is a constant-volume mixer fed by the column's bottom
+ * layer, so drawing dt tonnes scales every zone share by e^(-dt/zone) and tops the fed layer up.
+ */
+function drainLayers(layers, burnt, discharge = DEFAULT_DISCHARGE, capacity = 0) {
+  const out = layers.map(l => Object.assign({}, l));
+  const model = discharge.model;
+  const zone = model === 'hybrid' ? discharge.mixingZonePct / 100 * capacity : 0;
+
+  if (model === 'mixed' || (model === 'hybrid' && zone > 0)) {
+    let byRow = {};
+    let left = burnt;
+    if (model === 'hybrid') {
+      const { zoneTonnes, column } = splitMixingZone(out, zone);
+      byRow = zoneTonnes;
+      while (left > 1e-12 && column.length) {
+        const fed = column[0];
+        const dt = Math.min(left, fed.tonnes);
+        const decay = Math.exp(-dt / zone);
+        Object.keys(byRow).forEach(k => { byRow[k] *= decay; });
+        byRow[fed.rowIndex] = (byRow[fed.rowIndex] || 0) + zone * (1 - decay);
+        fed.tonnes -= dt;
+        left -= dt;
+        if (fed.tonnes <= 1e-12) column.shift();
+      }
+      drainProportionally(byRow, left);
+      column.forEach(c => { byRow[c.rowIndex] = (byRow[c.rowIndex] || 0) + c.tonnes; });
+    } else {
+      out.forEach(l => { byRow[l.rowIndex] = l.tonnes; });
+      drainProportionally(byRow, left);
+    }
+    out.forEach(l => { l.tonnes = byRow[l.rowIndex] || 0; });
+    return out;
+  }
+
+  let left = burnt;
+  stackFromBottom(out).forEach(l => {
+    const take = Math.min(l.tonnes, left);
+    l.tonnes -= take;
+    left -= take;
+  });
+  return out;
+}
+
+// share (0..1) of each rowIndex in the coal leaving the bunker now
+function outletShares(layers, discharge = DEFAULT_DISCHARGE, capacity = 0) {
+  const live = layers.filter(l => l.tonnes > 1e-9);
+  const shares = {};
+  if (!live.length) return shares;
+  const zone = discharge.model === 'hybrid' ? discharge.mixingZonePct / 100 * capacity : 0;
+  let pool;
+  if (discharge.model === 'mixed') pool = live.map(l => ({ rowIndex: l.rowIndex, tonnes: l.tonnes }));
+  else if (discharge.model === 'hybrid' && zone > 0) {
+    const { zoneTonnes } = splitMixingZone(live, zone);
+    pool = Object.keys(zoneTonnes).map(k => ({ rowIndex: Number(k), tonnes: zoneTonnes[k] }));
+  } else pool = [stackFromBottom(live)[0]];
+  const total = pool.reduce((sum, p) => sum + p.tonnes, 0);
+  pool.forEach(p => { if (p.tonnes > 0) shares[p.rowIndex] = p.tonnes / total; });
+  return shares;
+}
+
+/* -------------------- Bunker drain (server-authoritative levels) -------------------- */
+// Each saved layer carries its tonnes at the bunker's levelAt and the time it was filled. The level
+// at any later time is that state drained by the mill's flows from blend.flowHistory, following the
+// bunker's discharge model (rows are stacked top = row 1, so the highest rowIndex sits at the outlet).
+const FLOW_HISTORY_LIMIT = 500;
+
+function bunkerCapacityOf(blend, m) {
+  const per = Array.isArray(blend && blend.bunkerCapacities) ? Number(blend.bunkerCapacities[m]) : NaN;
+  return (isFinite(per) && per > 0) ? per : (Number(blend && blend.bunkerCapacity) || 0);
+}
+
+function formatHMS(seconds) {
+  const s = Math.max(0, Math.round(Number(seconds) || 0));
+  const hh = String(Math.floor(s / 3600)).padStart(2, '0');
+  const mm = String(Math.floor((s % 3600) / 60)).padStart(2, '0');
+  const ss = String(s % 60).padStart(2, '0');
+  return `${hh}:${mm}:${ss}`;
+}
+
+// flow history as [{ at (ms), flows }] oldest first; blends saved before it existed use their flows
+function flowTimeline(blend) {
+  const history = ((blend && blend.flowHistory) || [])
+    .filter(h => h && h.at)
+    .map(h => ({ at: new Date(h.at).getTime(), flows: h.flows || [] }))
+    .sort((a, b) => a.at - b.at);
+  return history.length ? history : [{ at: -Infinity, flows: (blend && blend.flows) || [] }];
+}
+
+// mill m's flow (t/h) in force at time t
+function flowAt(timeline, m, t) {
+  let flows = timeline[0].flows;
+  timeline.forEach(h => { if (h.at <= t) flows = h.flows; });
+  return Number(flows[m]) || 0;
+}
+
+// tonnes fed to mill m between `from` and `to` (ms)
+function tonnesBurnt(timeline, m, from, to) {
+  let burnt = 0;
+  let t = from;
+  while (t < to) {
+    const next = timeline.find(h => h.at > t);
+    const end = next ? Math.min(next.at, to) : to;
+    burnt += flowAt(timeline, m, t) * (end - t) / 3600000;
+    t = end;
+  }
+  return burnt;
+}
+
+/**
+ * Bunker m of a blend at time `at`: level, the mill's flow, when it runs empty, the outlet coal
+ * mix and, per layer (stored order, top first), tonnes left, seconds of feed it holds and seconds
+ * until it is gone (under mixed / hybrid discharge a layer feeds until the bunker is empty).
+ * Bunkers saved without levelAt are taken at their saved percentages (no drain before the next save).
+ */
+function bunkerState(blend, m, at = new Date()) {
+  const bunker = ((blend && blend.bunkers) || [])[m] || { layers: [] };
+  const capacity = bunkerCapacityOf(blend, m);
+  const t = new Date(at).getTime();
+  const timeline = flowTimeline(blend);
+  const levelAt = bunker.levelAt ? new Date(bunker.levelAt).getTime() : null;
+  const discharge = dischargeOf(bunker);
+
+  const stated = (bunker.layers || []).map(l => ({
+    rowIndex: Number(l.rowIndex) || 0,
+    coal: l.coal || '',
+    color: l.color || '',
+    lotId: l.lotId || '',
+    filledAt: l.filledAt || null,
+    tonnes: (l.tonnes !== undefined && l.tonnes !== null) ? Number(l.tonnes) || 0 : (Number(l.percent) || 0) / 100 * capacity
+  }));
+  const burnt = (levelAt !== null && t > levelAt) ? tonnesBurnt(timeline, m, levelAt, t) : 0;
+  const layers = drainLayers(stated, burnt, discharge, capacity);
+  const flow = flowAt(timeline, m, t);
+  const total = layers.reduce((sum, l) => sum + l.tonnes, 0);
+
+  // tonnes to draw before each layer is gone: plug = everything below it plus itself
+  let below = 0;
+  const emptiesAfter = {};
+  stackFromBottom(layers).forEach(l => {
+    below += l.tonnes;
+    emptiesAfter[l.rowIndex] = discharge.model === 'plug' ? below : total;
+  });
+  const seconds = tonnes => (flow > 0 ? tonnes / flow * 3600 : null);
+  const shares = outletShares(layers, discharge, capacity);
+  const feedingRow = Object.keys(shares).map(Number).sort((a, b) => shares[b] - shares[a] || b - a)[0];
+
+  return {
+    mill: m,
+    capacity,
+    flow,
+    levelAt: bunker.levelAt || null,
+    tonnes: total,
+    percent: capacity > 0 ? total / capacity * 100 : null,
+    secondsToEmpty: seconds(total),
+    emptyAt: (flow > 0 && total > 0) ? new Date(t + seconds(total) * 1000) : null,
+    discharge,
+    feedingRow: feedingRow === undefined ? null : feedingRow,
+    outlet: layers.filter(l => shares[l.rowIndex]).map(l => ({ rowIndex: l.rowIndex, coal: l.coal, share: shares[l.rowIndex] })),
+    layers: layers.map(l => Object.assign(l, {
+      percent: capacity > 0 ? l.tonnes / capacity * 100 : null,
+      feeding: !!shares[l.rowIndex],
+      layerSeconds: seconds(l.tonnes),
+      secondsUntilGone: seconds(emptiesAfter[l.rowIndex]),
+      timer: formatHMS(seconds(l.tonnes))
+    }))
+  };
+}
+
+// row.coal set to `coal` for mill m (a single coal for all mills becomes a per-mill map)
+function setRowCoal(row, m, coal, millCount) {
+  if (!row.coal || typeof row.coal !== 'object') {
+    const all = row.coal || '';
+    row.coal = {};
+    for (let i = 0; i < millCount; i++) row.coal[String(i)] = all;
+  }
+  row.coal[String(m)] = coal;
+}
+
+/**
+ * Bunker levels of a blend being updated, as of `now`. Every layer of `previous` is drained to now
+ * and kept with its coal and fill time; `fills` [{ mill, rowIndex, coal?, tonnes | percent }] change
+ * a level: each sets one layer (tonnes 0 empties the row) and counts as filled now. A row that carries
+ * percentages (null = not sent) refills every cell whose percent or coal differs from the drained
+ * layer, as a fill of that percent would; an explicit fill of the same cell wins.
+ * The settled percentages and coals are written into `rows` so the metrics follow the bunkers.
+ * Returns { levels: per mill { rowIndex: { tonnes, percent, coal, filledAt } }, errors }.
+ */
+function settleFills(previous, rows, fills, blend, now, millCount, resolver) {
+  const errors = [];
+  if (fills !== undefined && fills !== null && !Array.isArray(fills)) return { levels: [], errors: ['fills must be an array'] };
+  const levelOf = (l, capacity) => ({
+    tonnes: l.tonnes !== undefined ? l.tonnes : l.percent / 100 * capacity,
+    percent: (capacity > 0 && l.tonnes !== undefined) ? l.tonnes / capacity * 100 : l.percent
+  });
+
+  const levels = Array.from({ length: millCount }, (v, m) => {
+    const byRow = {};
+    if (!previous) return byRow;
+    const capacity = bunkerCapacityOf(blend, m);
+    const before = bunkerState(previous, m, now);
+    // without a capacity the previous level is only known as a percentage
+    const kept = before.capacity > 0
+      ? before.layers.map(l => ({ rowIndex: l.rowIndex, coal: l.coal, filledAt: l.filledAt, tonnes: l.tonnes, percent: l.percent }))
+      : (((previous.bunkers || [])[m] || {}).layers || []).map(l => ({ rowIndex: Number(l.rowIndex) || 0, coal: l.coal || '', filledAt: l.filledAt || null, percent: Number(l.percent) || 0 }));
+    kept.forEach(l => {
+      const level = levelOf(l, capacity);
+      if (level.tonnes > 1e-9 || level.percent > 1e-9) byRow[l.rowIndex] = Object.assign(level, { coal: l.coal, filledAt: l.filledAt });
+    });
+    return byRow;
+  });
+
+  // cells of rows[].percentages that differ from the drained layer become fills
+  const explicit = new Set((fills || []).map(f => `${Number(f && f.mill)}:${Number(f && f.rowIndex)}`));
+  const cellFills = [];
+  rows.forEach((row, i) => {
+    if (!row || !Array.isArray(row.percentages)) return;
+    for (let m = 0; m < millCount; m++) {
+      const sent = row.percentages[m];
+      if (isBlank(sent) || explicit.has(`${m}:${i + 1}`)) continue;
+      const percent = Number(sent);
+      if (!isFinite(percent) || percent < 0 || percent > 100) {
+        errors.push(`rows[${i}].percentages[${m}] must be a number in [0, 100]`);
+        continue;
+      }
+      const level = levels[m][i + 1];
+      const sameCoal = !level || coalNameKey(coalRefForRowAndMill(row, m)) === coalNameKey(level.coal);
+      if (Math.abs(percent - (level ? level.percent : 0)) > 1e-6 || (percent > 0 && !sameCoal)) cellFills.push({ mill: m, rowIndex: i + 1, percent });
+    }
+  });
+  if (errors.length) return { levels, errors };
+
+  (fills || []).concat(cellFills).forEach((f, i) => {
+    const label = `fills[${i}]`;
+    const m = Number(f && f.mill);
+    const r = Number(f && f.rowIndex);
+    if (!Number.isInteger(m) || m < 0 || m >= millCount) return errors.push(`${label}.mill must be an integer 0..${millCount - 1}`);
+    if (!Number.isInteger(r) || r < 1 || r > rows.length || !rows[r - 1]) return errors.push(`${label}.rowIndex must be a row of the blend (1..${rows.length})`);
+    const hasTonnes = f.tonnes !== undefined && f.tonnes !== null && f.tonnes !== '';
+    const hasPercent = f.percent !== undefined && f.percent !== null && f.percent !== '';
+    if (hasTonnes === hasPercent) return errors.push(`${label} needs either tonnes or percent`);
+    const value = Number(hasTonnes ? f.tonnes : f.percent);
+    if (!isFinite(value) || value < 0 || (hasPercent && value > 100)) {
+      return errors.push(hasTonnes ? `${label}.tonnes must be a number >= 0` : `${label}.percent must be a number in [0, 100]`);
+    }
+    const capacity = bunkerCapacityOf(blend, m);
+    if (hasTonnes && !(capacity > 0)) return errors.push(`${label}: ${millLabel(m)} has no bunker capacity, send percent`);
+
+    const level = hasTonnes ? { tonnes: value, percent: value / capacity * 100 } : { tonnes: value / 100 * capacity, percent: value };
+    let coal = (f.coal !== undefined && f.coal !== null && String(f.coal).trim()) ? String(f.coal).trim() : coalRefForRowAndMill(rows[r - 1], m);
+    const doc = resolver.resolve(coal);
+    if (doc) coal = doc.coal;
+    if (level.percent > 1e-9) levels[m][r] = Object.assign(level, { coal, filledAt: now });
+    else delete levels[m][r];
+  });
+  if (errors.length) return { levels, errors };
+
+  rows.forEach((row, i) => {
+    if (!row) return;
+    if (!Array.isArray(row.percentages)) row.percentages = [];
+    for (let m = 0; m < millCount; m++) {
+      const level = levels[m][i + 1];
+      row.percentages[m] = level ? level.percent : 0;
+      if (level && coalNameKey(coalRefForRowAndMill(row, m)) !== coalNameKey(level.coal)) setRowCoal(row, m, level.coal, millCount);
+    }
+  });
+  return { levels, errors };
+}
+
+/**
+ * Give the layers of a blend being saved their tonnes / filledAt / levelAt (all as of `now`):
+ * the settled `levels` of settleFills, or on a new blend (levels null) every layer as a fresh fill
+ * at its stated percent. Layer timers become the server's remaining feed time.
+ * `discharge` (per bunker) is stamped on the bunkers.
+ */
+function settleBunkers(levels, blend, now, discharge = []) {
+  (blend.bunkers || []).forEach((bunker, m) => {
+    bunker.discharge = validateDischarge(discharge[m]).discharge;
+    const capacity = bunkerCapacityOf(blend, m);
+    (bunker.layers || []).forEach(l => {
+      const level = levels && levels[m] ? levels[m][Number(l.rowIndex)] : null;
+      l.tonnes = level ? level.tonnes : (Number(l.percent) || 0) / 100 * capacity;
+      l.filledAt = (level && level.filledAt) || now;
+    });
+    bunker.levelAt = now;
+  });
+
+  const state = (blend.bunkers || []).map((b, m) => bunkerState(blend, m, now));
+  (blend.bunkers || []).forEach((bunker, m) => {
+    (bunker.layers || []).forEach(l => {
+      const s = state[m].layers.find(x => x.rowIndex === Number(l.rowIndex));
+      if (s && s.layerSeconds !== null && state[m].capacity > 0) l.timer = s.timer;
+    });
+  });
+  return blend;
+}
+
+// flowHistory with `flows` appended at `now` when they differ from the flows in force
+function appendFlowHistory(history, flows, now) {
+  const list = (history || []).slice();
+  const last = list[list.length - 1];
+  const next = (flows || []).map(v => Number(v) || 0);
+  if (!last || JSON.stringify((last.flows || []).map(v => Number(v) || 0)) !== JSON.stringify(next)) {
+    list.push({ at: now, flows: next });
+  }
+  return list.slice(-FLOW_HISTORY_LIMIT);
+}
+
+// GET /api/units/:unit/bunkers?at=<date> -> every bunker's level and layer times (default now)
+app.get('/api/units/:unit/bunkers', async (req, res) => {
+  try {
+    const unit = Number(req.params.unit || 0);
+    if (![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+    const at = req.query.at ? parseDateValue(req.query.at) : new Date();
+    if (!at) return res.status(400).json({ error: 'at must be a valid date' });
+
+    const map = await UnitMap.findOne({ unit }).lean();
+    if (!map) return res.status(404).json({ error: 'Unit not initialized' });
+    const blend = await Blend.findById(map.blendId).lean();
+    if (!blend) return res.status(404).json({ error: 'Blend not found' });
+
+    const millCount = parseMillCount(map.millCount) || DEFAULT_MILL_COUNT;
+    const bunkers = Array.from({ length: millCount }, (v, m) => bunkerState(blend, m, at));
+    return res.json({ unit, blendId: blend._id, at, bunkers });
+  } catch (err) {
+    console.error('GET /api/units/:unit/bunkers error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// discharge model per bunker: the unit's setting, else the blend's stored one, else the default
+function dischargeForBlend(map, previous, millCount) {
+  const set = (map && Array.isArray(map.bunkerDischarge)) ? map.bunkerDischarge : [];
+  const stored = (previous && previous.bunkers) || [];
+  return Array.from({ length: millCount }, (v, m) => set[m] ? validateDischarge(set[m]).discharge : dischargeOf(stored[m]));
+}
+
+// levels of every bunker re-based to `now` (drained layers, levelAt = now) under `discharge`
+function rebaseBunkers(blend, now, discharge) {
+  return ((blend && blend.bunkers) || []).map((bunker, m) => {
+    const state = bunkerState(blend, m, now);
+    return {
+      layers: (bunker.layers || []).map((l, i) => Object.assign({}, l, {
+        tonnes: state.layers[i].tonnes,
+        percent: state.layers[i].percent !== null ? state.layers[i].percent : l.percent,
+        timer: state.layers[i].layerSeconds !== null ? state.layers[i].timer : l.timer
+      })).filter(l => !(l.tonnes <= 1e-9)),
+      levelAt: now,
+      discharge: discharge[m] || dischargeOf(bunker)
+    };
+  });
+}
+
+// GET -> discharge model of every bunker of the unit
+app.get('/api/units/:unit/bunker-discharge', async (req, res) => {
+  try {
+    const unit = Number(req.params.unit || 0);
+    if (![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+    const map = await UnitMap.findOne({ unit }).lean();
+    if (!map) return res.status(404).json({ error: 'Unit not initialized' });
+    const previous = await Blend.findById(map.blendId).lean();
+    const millCount = parseMillCount(map.millCount) || DEFAULT_MILL_COUNT;
+    return res.json({ unit, models: DISCHARGE_MODELS, bunkers: dischargeForBlend(map, previous, millCount) });
+  } catch (err) {
+    console.error('GET /api/units/:unit/bunker-discharge error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
   }
+});
+
+/**
+ * PUT { bunkers: [{ model?, mixingZonePct? } | null, ...] } (index = mill; null keeps a bunker as is)
+ * The unit blend's levels are first drained to now under the old models, then follow the new ones.
+ */
+app.put('/api/units/:unit/bunker-discharge', async (req, res) => {
+  try {
+    const unit = Number(req.params.unit || 0);
+    if (![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+    const map = await UnitMap.findOne({ unit }).lean();
+    if (!map) return res.status(404).json({ error: 'Unit not initialized' });
+    const millCount = parseMillCount(map.millCount) || DEFAULT_MILL_COUNT;
+    const input = req.body && req.body.bunkers;
+    if (!Array.isArray(input) || input.length > millCount) {
+      return res.status(400).json({ error: `bunkers must be an array of at most ${millCount} entries` });
+    }
+
+    const previous = await Blend.findById(map.blendId).lean();
+    const current = dischargeForBlend(map, previous, millCount);
+    const errors = [];
+    const next = current.map((d, m) => {
+      const r = validateDischarge(input[m], d, `bunkers[${m}]`);
+      errors.push(...r.errors);
+      return r.discharge;
+    });
+    if (errors.length) return res.status(400).json({ error: 'Validation failed', errors });
+
+    await UnitMap.updateOne({ unit }, { $set: { bunkerDischarge: next } });
+    if (previous) {
+      // book the burn under the old models before the levels are re-based
+      const now = new Date();
+      await accrueBlendConsumption(previous, unit, now);
+      await Blend.updateOne({ _id: previous._id }, { $set: { bunkers: rebaseBunkers(previous, now, next) } });
+    }
+    return res.json({ message: 'Bunker discharge updated', unit, bunkers: next });
+  } catch (err) {
+    console.error('PUT /api/units/:unit/bunker-discharge error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Mill status (in service / standby / tripped / maintenance) -------------------- */
+// Each unit keeps the current status of every mill (with reason and since) on its UnitMap and a
+// history of status periods in MillStatusEvent. blend.flows stay the operator's set points; the
+// flows actually burnt (blend.effectiveFlows, and the flowHistory that drives the bunker drain)
+// have stopped mills at 0, so their bunkers freeze. With redistributeFlow on, the set-point flow
+// of stopped mills is spread over the running mills in proportion to their flow, up to each
+// mill's rated capacity (millRatedTph; a mill without a rating takes no extra flow).
+const MILL_STATUSES = ['in-service', 'standby', 'tripped', 'maintenance'];
+const MILL_RUNNING = 'in-service';
+
+const MillStatusEventSchema = new mongoose.Schema({
+  unit: { type: Number, required: true },
+  mill: { type: Number, required: true },
+  status: { type: String, enum: MILL_STATUSES, required: true },
+  reason: { type: String, default: '' },
+  from: { type: Date, required: true },
+  to: { type: Date, default: null } // null while the status is current
+}, { collection: 'millstatusevents', timestamps: true });
+
+const MillStatusEvent = mongoose.models.MillStatusEvent || mongoose.model('MillStatusEvent', MillStatusEventSchema);
+
+// current { status, reason, since } of every mill (in service when never set)
+function millStatusesOf(map, millCount) {
+  const set = (map && Array.isArray(map.millStatus)) ? map.millStatus : [];
+  return Array.from({ length: millCount }, (v, m) => {
+    const s = set[m] || {};
+    return { status: MILL_STATUSES.includes(s.status) ? s.status : MILL_RUNNING, reason: s.reason || '', since: s.since || null };
+  });
+}
+
+/**
+ * Flows burnt given the set points and mill statuses: { flows, redistributedTph, unallocatedTph }.
+ * Stopped mills burn nothing; with `redistribute` their set-point flow goes to running mills
+ * (proportional to flow, capped at rated t/h), and what does not fit is reported as unallocated.
+ */
+function effectiveFlows(setpoints, statuses, ratedTph, redistribute) {
+  const flows = (setpoints || []).map((f, m) => ((statuses[m] || {}).status || MILL_RUNNING) === MILL_RUNNING ? (Number(f) || 0) : 0);
+  const lost = (setpoints || []).reduce((s, f, m) => s + ((Number(f) || 0) - flows[m]), 0);
+  let left = redistribute ? lost : 0;
+  const headroom = m => Math.max(0, (Number((ratedTph || [])[m]) || 0) - flows[m]);
+  while (left > 1e-9) {
+    const takers = flows.map((f, m) => m).filter(m => flows[m] > 0 && headroom(m) > 1e-9);
+    const weight = takers.reduce((s, m) => s + flows[m], 0);
+    if (!takers.length || weight <= 0) break;
+    let given = 0;
+    const shares = takers.map(m => Math.min(headroom(m), left * flows[m] / weight));
+    takers.forEach((m, i) => { flows[m] += shares[i]; given += shares[i]; });
+    left -= given;
+  }
+  return { flows, redistributedTph: (redistribute ? lost : 0) - left, unallocatedTph: left };
+}
+
+// effective flows of a unit blend under the unit's mill statuses / settings
+function unitEffectiveFlows(map, blend, millCount) {
+  const setpoints = Array.from({ length: millCount }, (v, m) => Number(((blend && blend.flows) || [])[m]) || 0);
+  return effectiveFlows(setpoints, millStatusesOf(map, millCount), (map && map.millRatedTph) || [], !!(map && map.redistributeFlow));
+}
+
+// put the unit blend on its effective flows from `now` (bunker drain and yard consumption follow)
+async function applyEffectiveFlows(map, unit, now) {
+  const blend = await Blend.findById(map.blendId).lean();
+  if (!blend) return null;
+  const millCount = parseMillCount(map.millCount) || DEFAULT_MILL_COUNT;
+  const eff = unitEffectiveFlows(map, blend, millCount);
+  await accrueBlendConsumption(blend, unit, now);
+  await Blend.updateOne({ _id: blend._id }, { $set: {
+    effectiveFlows: eff.flows,
+    flowHistory: appendFlowHistory(blend.flowHistory, eff.flows, now)
+  } });
+  return eff;
+}
+
+function millStatusView(map, blend, millCount) {
+  const statuses = millStatusesOf(map, millCount);
+  const eff = unitEffectiveFlows(map, blend, millCount);
+  return {
+    redistributeFlow: !!map.redistributeFlow,
+    mills: statuses.map((s, m) => Object.assign({ mill: m, label: millLabel(m) }, s, {
+      ratedTph: numberOrNull((map.millRatedTph || [])[m]),
+      setpointTph: Number(((blend && blend.flows) || [])[m]) || 0,
+      effectiveTph: eff.flows[m]
+    })),
+    redistributedTph: eff.redistributedTph,
+    unallocatedTph: eff.unallocatedTph
+  };
+}
+
+// GET -> status, rating and set-point / effective flow of every mill of the unit
+app.get('/api/units/:unit/mill-status', async (req, res) => {
+  try {
+    const unit = Number(req.params.unit || 0);
+    if (![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+    const map = await UnitMap.findOne({ unit }).lean();
+    if (!map) return res.status(404).json({ error: 'Unit not initialized' });
+    const blend = await Blend.findById(map.blendId).lean();
+    const millCount = parseMillCount(map.millCount) || DEFAULT_MILL_COUNT;
+    return res.json(Object.assign({ unit, statuses: MILL_STATUSES }, millStatusView(map, blend, millCount)));
+  } catch (err) {
+    console.error('GET /api/units/:unit/mill-status error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// PUT { ratedTph?: [t/h per mill, null = unrated], redistributeFlow?: boolean }
+app.put('/api/units/:unit/mill-status', async (req, res) => {
+  try {
+    const unit = Number(req.params.unit || 0);
+    if (![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+    const map = await UnitMap.findOne({ unit }).lean();
+    if (!map) return res.status(404).json({ error: 'Unit not initialized' });
+    const millCount = parseMillCount(map.millCount) || DEFAULT_MILL_COUNT;
+    const body = req.body || {};
+
+    const errors = [];
+    const $set = {};
+    if (body.ratedTph !== undefined) {
+      if (!Array.isArray(body.ratedTph) || body.ratedTph.length > millCount) {
+        errors.push(`ratedTph must be an array of at most ${millCount} entries`);
+      } else {
+        $set.millRatedTph = Array.from({ length: millCount }, (v, m) => {
+          const n = optionalNumber(body.ratedTph[m]);
+          if (Number.isNaN(n) || (n !== null && n < 0)) errors.push(`ratedTph[${m}] must be a non-negative number`);
+          return n;
+        });
+      }
+    }
+    if (body.redistributeFlow !== undefined) {
+      if (typeof body.redistributeFlow !== 'boolean') errors.push('redistributeFlow must be true or false');
+      else $set.redistributeFlow = body.redistributeFlow;
+    }
+    if (errors.length) return res.status(400).json({ error: 'Validation failed', errors });
+
+    const updated = Object.keys($set).length ? await UnitMap.findOneAndUpdate({ unit }, { $set }, { new: true }).lean() : map;
+    await applyEffectiveFlows(updated, unit, new Date());
+    const blend = await Blend.findById(updated.blendId).lean();
+    return res.json(Object.assign({ message: 'Mill settings updated', unit }, millStatusView(updated, blend, millCount)));
+  } catch (err) {
+    console.error('PUT /api/units/:unit/mill-status error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// PUT { status, reason } -> change one mill's status (a reason is required unless back in service)
+app.put('/api/units/:unit/mill-status/:mill', async (req, res) => {
+  try {
+    const unit = Number(req.params.unit || 0);
+    if (![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+    const map = await UnitMap.findOne({ unit }).lean();
+    if (!map) return res.status(404).json({ error: 'Unit not initialized' });
+    const millCount = parseMillCount(map.millCount) || DEFAULT_MILL_COUNT;
+    const mill = Number(req.params.mill);
+    if (!Number.isInteger(mill) || mill < 0 || mill >= millCount) return res.status(400).json({ error: `mill must be an integer 0..${millCount - 1}` });
+
+    const status = String((req.body && req.body.status) || '').trim().toLowerCase();
+    const reason = String((req.body && req.body.reason) || '').trim();
+    const errors = [];
+    if (!MILL_STATUSES.includes(status)) errors.push(`status must be one of ${MILL_STATUSES.join(', ')}`);
+    if (status !== MILL_RUNNING && !reason) errors.push('reason is required when a mill is taken out of service');
+    if (errors.length) return res.status(400).json({ error: 'Validation failed', errors });
+
+    const statuses = millStatusesOf(map, millCount);
+    if (statuses[mill].status === status && statuses[mill].reason === reason) {
+      return res.status(409).json({ error: `Mill is already ${status}` });
+    }
+    const now = new Date();
+    await MillStatusEvent.updateMany({ unit, mill, to: null }, { $set: { to: now } });
+    await MillStatusEvent.create({ unit, mill, status, reason, from: now });
+    statuses[mill] = { status, reason, since: now };
+    const updated = await UnitMap.findOneAndUpdate({ unit }, { $set: { millStatus: statuses } }, { new: true }).lean();
+
+    await applyEffectiveFlows(updated, unit, now);
+    const blend = await Blend.findById(updated.blendId).lean();
+    return res.json(Object.assign({ message: 'Mill status updated', unit }, millStatusView(updated, blend, millCount)));
+  } catch (err) {
+    console.error('PUT /api/units/:unit/mill-status/:mill error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+// GET ?mill=&from=&to= -> status periods of the unit's mills, newest first
+app.get('/api/units/:unit/mill-status/history', async (req, res) => {
+  try {
+    const unit = Number(req.params.unit || 0);
+    if (![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+    const q = { unit };
+    if (!isBlank(req.query.mill)) {
+      const mill = Number(req.query.mill);
+      if (!Number.isInteger(mill) || mill < 0) return res.status(400).json({ error: 'mill must be a non-negative integer' });
+      q.mill = mill;
+    }
+    const from = req.query.from ? parseDateValue(req.query.from) : null;
+    const to = req.query.to ? parseDateValue(req.query.to) : null;
+    if ((req.query.from && !from) || (req.query.to && !to)) return res.status(400).json({ error: 'from / to must be valid dates' });
+    // periods overlapping [from, to]
+    if (to) q.from = { $lte: to };
+    if (from) q.$or = [{ to: null }, { to: { $gte: from } }];
+
+    const events = await MillStatusEvent.find(q).sort({ from: -1 }).lean();
+    const now = Date.now();
+    return res.json(events.map(e => Object.assign({}, e, {
+      label: millLabel(e.mill),
+      hours: ((e.to ? new Date(e.to).getTime() : now) - new Date(e.from).getTime()) / 3600000
+    })));
+  } catch (err) {
+    console.error('GET /api/units/:unit/mill-status/history error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Mill feed forecast -------------------- */
+// Steps the bunker drain forward at the flows in force now and reports what reaches each mill.
+// Coal properties are those the blend's metrics use (analysis effective at blend.analysisAt, the
+// row's typed gcv when given); the inlet mix is the bunker outlet mix (see outletShares).
+const FORECAST_DEFAULTS = { hours: 24, stepMinutes: 15 };
+const FORECAST_MAX_HOURS = 168;
+const FORECAST_MAX_POINTS = 2000;   // per mill
+const FORECAST_REFINE_SECONDS = 30; // feed changes / AFT alerts are located to within this
+
+// analysis a layer (row) of bunker m feeds: { coal, gcv (on gcvBasis, null if unconvertible), ox, sulphur }
+function layerAnalysis(blend, m, rowIndex, resolver, gcvBasis) {
+  const row = (blend.rows || [])[rowIndex - 1] || {};
+  const ref = coalRefForRowAndMill(row, m);
+  const coalDoc = resolver.resolve(ref);
+  const src = coalDoc || row;
+  const gcvRaw = rowGcv(row, coalDoc);
+  const ox = {};
+  UNCERTAINTY_OXIDES.forEach(k => { ox[k] = Number(src[k]) || 0; });
+  return {
+    coal: coalDoc ? coalDoc.coal : String(ref || ''),
+    gcv: convertGcv(src, gcvBasis, gcvRaw).value,
+    ox,
+    sulphur: numberOrNull(src.SulphurS)
+  };
+}
+
+// bunker m at time t and the blended GCV / AFT / sulphur of the coal leaving it (nulls when empty)
+function millInletAt(blend, m, t, analysisOf, aftModel) {
+  const state = bunkerState(blend, m, t);
+  const mix = state.outlet.map(o => Object.assign({ rowIndex: o.rowIndex, share: o.share }, analysisOf(m, o.rowIndex)));
+  const ox = {};
+  UNCERTAINTY_OXIDES.forEach(k => { ox[k] = mix.reduce((s, p) => s + p.ox[k] * p.share, 0); });
+  const oxTotal = UNCERTAINTY_OXIDES.reduce((s, k) => s + ox[k], 0);
+  const withSulphur = mix.filter(p => p.sulphur !== null);
+  const sulphurShare = withSulphur.reduce((s, p) => s + p.share, 0);
+  return {
+    state,
+    coals: mix.map(p => ({ rowIndex: p.rowIndex, coal: p.coal, share: p.share })),
+    gcv: (mix.length && mix.every(p => p.gcv !== null)) ? mix.reduce((s, p) => s + p.gcv * p.share, 0) : null,
+    aft: oxTotal > 0 ? calcAFT(ox, aftModel) : null,
+    sulphur: sulphurShare > 0 ? withSulphur.reduce((s, p) => s + p.sulphur * p.share, 0) / sulphurShare : null
+  };
+}
+
+// first time in (t0, t1] where changed(t) holds, to within FORECAST_REFINE_SECONDS (changed(t1) is true)
+function refineTime(t0, t1, changed) {
+  while (t1 - t0 > FORECAST_REFINE_SECONDS * 1000) {
+    const mid = Math.round((t0 + t1) / 2);
+    if (changed(mid)) t1 = mid; else t0 = mid;
+  }
+  return t1;
+}
+
+// sample times (ms) from `from` to from + hours, every stepMinutes (the end is always included)
+function forecastTimes(from, hours, stepMinutes) {
+  const t0 = from.getTime();
+  const end = t0 + hours * 3600000;
+  const step = stepMinutes * 60000;
+  const times = [];
+  for (let t = t0; t < end; t += step) times.push(t);
+  times.push(end);
+  return times;
+}
+
+// analysisOf(m, rowIndex) for a blend, each layer resolved once
+function layerAnalyses(blend, resolver, gcvBasis) {
+  const cache = {};
+  return (m, rowIndex) => {
+    const key = `${m}:${rowIndex}`;
+    if (!cache[key]) cache[key] = layerAnalysis(blend, m, rowIndex, resolver, gcvBasis);
+    return cache[key];
+  };
+}
+
+// forecast of mill m over `times` (see forecastBlend); AFT alerts are pushed onto `alerts`
+function forecastMill(blend, m, times, analysisOf, aftModel, minAFT, alerts) {
+  const inlet = t => millInletAt(blend, m, t, analysisOf, aftModel);
+  const feedKey = p => p.coals.map(c => c.rowIndex).join(',');
+  const belowMin = a => minAFT !== null && a !== null && a < minAFT;
+  const series = [];
+  const events = [];
+  let prev = null;
+  times.forEach(t => {
+    const p = inlet(t);
+    if (prev) {
+      const before = prev;
+      if (feedKey(p) !== feedKey(before)) {
+        const at = refineTime(before.t, t, x => feedKey(inlet(x)) !== feedKey(before));
+        const now = inlet(at);
+        events.push(now.coals.length
+          ? { at: new Date(at), type: 'feed-change', coals: now.coals }
+          : { at: new Date(at), type: 'empty' });
+      }
+      if (belowMin(p.aft) && !belowMin(before.aft)) {
+        const at = refineTime(before.t, t, x => belowMin(inlet(x).aft));
+        alerts.push({ mill: m, label: millLabel(m), at: new Date(at), aft: inlet(at).aft, minAFT });
+      }
+    } else if (belowMin(p.aft)) {
+      alerts.push({ mill: m, label: millLabel(m), at: new Date(t), aft: p.aft, minAFT });
+    }
+    p.t = t;
+    prev = p;
+    series.push({ at: new Date(t), percent: p.state.percent, tonnes: p.state.tonnes, coals: p.coals, gcv: p.gcv, aft: p.aft, sulphur: p.sulphur });
+  });
+  const first = bunkerState(blend, m, new Date(times[0]));
+  return {
+    mill: m,
+    label: millLabel(m),
+    flow: first.flow,
+    discharge: first.discharge,
+    emptyAt: first.emptyAt,
+    events,
+    series
+  };
+}
+
+// flow-weighted unit values per sample over the mills still being fed (an empty bunker feeds nothing)
+function forecastUnitSeries(mills, times, minAFT, alerts) {
+  const belowMin = a => minAFT !== null && a !== null && a < minAFT;
+  let unitBelow = false;
+  return times.map((t, i) => {
+    let aftSum = 0, aftFlow = 0, gcvSum = 0, gcvFlow = 0, gcvMissing = false, sSum = 0, sFlow = 0;
+    mills.forEach(mill => {
+      const p = mill.series[i];
+      const flow = p.coals.length ? mill.flow : 0;
+      if (!(flow > 0)) return;
+      if (p.aft !== null) { aftSum += flow * p.aft; aftFlow += flow; }
+      if (p.gcv === null) gcvMissing = true; else { gcvSum += flow * p.gcv; gcvFlow += flow; }
+      if (p.sulphur !== null) { sSum += flow * p.sulphur; sFlow += flow; }
+    });
+    const point = {
+      at: new Date(t),
+      aft: aftFlow > 0 ? aftSum / aftFlow : null,
+      gcv: (!gcvMissing && gcvFlow > 0) ? gcvSum / gcvFlow : null,
+      sulphur: sFlow > 0 ? sSum / sFlow : null
+    };
+    if (alerts && belowMin(point.aft) && !unitBelow) alerts.push({ mill: null, label: 'Unit', at: point.at, aft: point.aft, minAFT });
+    unitBelow = belowMin(point.aft);
+    return point;
+  });
+}
+
+/**
+ * Forecast of a unit blend from `from` over `hours`, sampled every `stepMinutes`.
+ * Per mill: series [{ at, percent, tonnes, coals: [{ rowIndex, coal, share }], gcv, aft, sulphur }],
+ * emptyAt, and events (feed change / empty). unitSeries holds the flow-weighted values of the mills
+ * still being fed; alerts mark where a mill's (or the unit's) AFT drops below minAFT. Mill events
+ * and alerts are located to within FORECAST_REFINE_SECONDS, unit alerts to the sample step.
+ */
+function forecastBlend(blend, opts) {
+  const { from, hours, stepMinutes, millCount, resolver, gcvBasis, aftModel, minAFT } = opts;
+  const times = forecastTimes(from, hours, stepMinutes);
+  const analysisOf = layerAnalyses(blend, resolver, gcvBasis);
+  const alerts = [];
+  const mills = Array.from({ length: millCount }, (v, m) => forecastMill(blend, m, times, analysisOf, aftModel, minAFT, alerts));
+  const unitSeries = forecastUnitSeries(mills, times, minAFT, alerts);
+  alerts.sort((a, b) => a.at - b.at);
+  return { mills, unitSeries, alerts };
+}
+
+/**
+ * GET /api/units/:unit/forecast?hours=24&step=15&minAFT=&gcvBasis=&from=
+ * hours: horizon (default 24, max FORECAST_MAX_HOURS); step: sample interval in minutes (default 15);
+ * minAFT: AFT limit for alerts; gcvBasis: basis of the GCVs (default the blend's); from: start (default now).
+ * Flows stay at those in force at `from`.
+ */
+app.get('/api/units/:unit/forecast', async (req, res) => {
+  try {
+    const unit = Number(req.params.unit || 0);
+    if (![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+
+    const errors = [];
+    const hours = isBlank(req.query.hours) ? FORECAST_DEFAULTS.hours : Number(req.query.hours);
+    if (!isFinite(hours) || hours <= 0 || hours > FORECAST_MAX_HOURS) errors.push(`hours must be a number in (0, ${FORECAST_MAX_HOURS}]`);
+    const stepMinutes = isBlank(req.query.step) ? FORECAST_DEFAULTS.stepMinutes : Number(req.query.step);
+    if (!isFinite(stepMinutes) || stepMinutes < 1) errors.push('step must be at least 1 (minutes)');
+    else if (isFinite(hours) && hours * 60 / stepMinutes > FORECAST_MAX_POINTS) errors.push(`hours/step gives more than ${FORECAST_MAX_POINTS} points; use a larger step`);
+    const minAFT = optionalNumber(req.query.minAFT);
+    if (Number.isNaN(minAFT)) errors.push('minAFT must be a number');
+    const gcvBasis = normalizeGcvBasis(req.query.gcvBasis);
+    if (gcvBasis === null) errors.push(`gcvBasis must be one of ${GCV_BASES.join(', ')}`);
+    const from = req.query.from ? parseDateValue(req.query.from) : new Date();
+    if (!from) errors.push('from must be a valid date');
+    if (errors.length) return res.status(400).json({ error: 'Validation failed', errors });
+
+    const map = await UnitMap.findOne({ unit }).lean();
+    if (!map) return res.status(404).json({ error: 'Unit not initialized' });
+    const blend = await Blend.findById(map.blendId).lean();
+    if (!blend) return res.status(404).json({ error: 'Blend not found' });
+
+    const millCount = parseMillCount(map.millCount) || DEFAULT_MILL_COUNT;
+    const aftModel = await aftModelForBlend(null, unit);
+    const basis = gcvBasis || normalizeGcvBasis(blend.gcvBasis) || DEFAULT_GCV_BASIS;
+    const resolver = buildCoalResolver(await loadBlendCoals(blend.analysisAt || from));
+    const forecast = forecastBlend(blend, { from, hours, stepMinutes, millCount, resolver, gcvBasis: basis, aftModel, minAFT });
+
+    return res.json(Object.assign({
+      unit,
+      blendId: blend._id,
+      from,
+      hours,
+      stepMinutes,
+      gcvBasis: basis,
+      aftModel: aftModel.name,
+      minAFT
+    }, forecast));
+  } catch (err) {
+    console.error('GET /api/units/:unit/forecast error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
 
+/* -------------------- Bunker filling recommendations -------------------- */
+// Ranks coals and tonnages for the next layer of one bunker. Each candidate is put on top of the
+// bunker's current contents and the unit is forecast over the horizon (other mills unchanged);
+// candidates are ranked by the share of the horizon the unit's flow-weighted AFT / GCV stay within
+// the targets, then by how far they stray (relative to the target), then by landed cost per tonne.
+// Coals with yard stock on record are offered at most their stock; coals never received into the
+// yard have no stock figure and are not limited. Every candidate is a full forecast, so only the
+// RECOMMEND_MAX_COALS cheapest usable coals are tried, and the forecasts run in chunks between
+// yields to the event loop (as the uncertainty samples do).
+const RECOMMEND_DEFAULTS = { hours: 24, stepMinutes: 30, limit: 10 };
+const RECOMMEND_FILL_FRACTIONS = [0.25, 0.5, 0.75, 1]; // of the free space, when no tonnes are given
+const RECOMMEND_MAX_COALS = 30;
+const RECOMMEND_CHUNK = 8; // candidate forecasts between yields
+const CANDIDATE_ROW = 0; // rowIndex of the candidate layer: above every stored row (top = row 1)
+
+// share of samples within targets and the mean relative deviation from them (samples with no unit values skipped)
+function targetDeviation(unitSeries, targets) {
+  let counted = 0, within = 0, deviation = 0;
+  let minAFT = null, gcvLow = null, gcvHigh = null;
+  unitSeries.forEach(p => {
+    if (p.aft === null && p.gcv === null) return;
+    counted++;
+    let d = 0;
+    if (p.aft !== null) {
+      minAFT = minAFT === null ? p.aft : Math.min(minAFT, p.aft);
+      if (targets.minAFT !== null && p.aft < targets.minAFT) d += (targets.minAFT - p.aft) / targets.minAFT;
+    }
+    if (p.gcv !== null) {
+      gcvLow = gcvLow === null ? p.gcv : Math.min(gcvLow, p.gcv);
+      gcvHigh = gcvHigh === null ? p.gcv : Math.max(gcvHigh, p.gcv);
+      if (targets.gcvMin !== null && p.gcv < targets.gcvMin) d += (targets.gcvMin - p.gcv) / targets.gcvMin;
+      if (targets.gcvMax !== null && p.gcv > targets.gcvMax) d += (p.gcv - targets.gcvMax) / targets.gcvMax;
+    }
+    if (d === 0) within++;
+    deviation += d;
+  });
   return {
-    totalFlow: Number(totalFlow),
-    avgGCV: Number(avgGCV),
-    avgAFT: (avgAFT === null ? null : Number(avgAFT)),
-    heatRate: (heatRate === null ? null : Number(heatRate)),
-    costRate: Number(costRate),
-    aftPerMill: aftPerMill.map(v => (v === null ? null : Number(v))),
-    blendedGCVPerMill: blendedGCVPerMill.map(v => Number(v)),
-    bunkers
+    withinTargetsPct: counted ? within / counted * 100 : null,
+    deviation: counted ? deviation / counted : 0,
+    minAFT,
+    gcvLow,
+    gcvHigh
+  };
+}
+
+// the blend with bunker m drained to `from` and `tonnes` of a candidate layer on top
+function blendWithCandidate(blend, m, from, tonnes) {
+  const state = bunkerState(blend, m, from);
+  const bunkers = ((blend.bunkers || []).slice());
+  bunkers[m] = {
+    levelAt: from,
+    discharge: state.discharge,
+    layers: state.layers.filter(l => l.tonnes > 1e-9).map(l => ({ rowIndex: l.rowIndex, coal: l.coal, tonnes: l.tonnes }))
+      .concat([{ rowIndex: CANDIDATE_ROW, coal: '', tonnes }])
   };
+  return Object.assign({}, blend, { bunkers });
+}
+
+/**
+ * Candidates for the next layer of bunker m: [{ coalId, coal, tonnes, percent, costPerTonne, cost,
+ * stock, feedsFrom, withinTargetsPct, deviation, minAFT, gcvLow, gcvHigh }] best first, plus
+ * omittedCoals: usable coals left out by maxCoals (default RECOMMEND_MAX_COALS, cheapest kept).
+ * opts: { from, times, millCount, resolver, coals, stockByKey, gcvBasis, aftModel, targets, tonnes?, limit, maxCoals? }
+ */
+async function recommendFills(blend, m, opts) {
+  const { from, times, millCount, resolver, coals, stockByKey, gcvBasis, aftModel, targets } = opts;
+  const state = bunkerState(blend, m, from);
+  const free = Math.max(0, state.capacity - state.tonnes);
+  const baseAnalysis = layerAnalyses(blend, resolver, gcvBasis);
+  const others = Array.from({ length: millCount }, (v, i) => (i === m ? null : forecastMill(blend, i, times, baseAnalysis, aftModel, null, [])));
+  const current = forecastMill(blend, m, times, baseAnalysis, aftModel, null, []);
+  const baseline = targetDeviation(forecastUnitSeries(others.map((o, i) => o || current), times, null), targets);
+
+  // coals with stock left (or none on record), cheapest first
+  const stockOf = coal => stockByKey[coalNameKey(coal.coal)];
+  const usable = coals
+    .filter(coal => { const stock = stockOf(coal); return stock === undefined || stock === null || stock > 1e-6; })
+    .sort((a, b) => coalCostPerTonne(a, null) - coalCostPerTonne(b, null));
+  const tried = usable.slice(0, opts.maxCoals || RECOMMEND_MAX_COALS);
+
+  const trials = [];
+  tried.forEach(coal => {
+    const stock = stockOf(coal);
+    const sizes = opts.tonnes ? [opts.tonnes] : RECOMMEND_FILL_FRACTIONS.map(f => f * free);
+    const tonnages = Array.from(new Set(sizes
+      .map(t => (stock === undefined || stock === null) ? t : Math.min(t, Math.max(0, stock)))
+      .filter(t => t > 1e-6)
+      .map(t => Math.round(t * 10) / 10)));
+    const candidate = {
+      coal: coal.coal,
+      gcv: convertGcv(coal, gcvBasis, Number(coal.gcv) || 0).value,
+      ox: {},
+      sulphur: numberOrNull(coal.SulphurS)
+    };
+    UNCERTAINTY_OXIDES.forEach(k => { candidate.ox[k] = Number(coal[k]) || 0; });
+    const analysisOf = (mill, rowIndex) => (mill === m && rowIndex === CANDIDATE_ROW) ? candidate : baseAnalysis(mill, rowIndex);
+    tonnages.forEach(tonnes => trials.push({ coal, stock, tonnes, analysisOf }));
+  });
+
+  const candidates = [];
+  for (let i = 0; i < trials.length; i++) {
+    if (i > 0 && i % RECOMMEND_CHUNK === 0) await new Promise(resolve => setImmediate(resolve));
+    const { coal, stock, tonnes, analysisOf } = trials[i];
+    const trial = blendWithCandidate(blend, m, from, tonnes);
+    const mill = forecastMill(trial, m, times, analysisOf, aftModel, null, []);
+    const score = targetDeviation(forecastUnitSeries(others.map(o => o || mill), times, null), targets);
+    const feeds = mill.series.find(p => p.coals.some(c => c.rowIndex === CANDIDATE_ROW));
+    const costPerTonne = coalCostPerTonne(coal, null);
+    candidates.push(Object.assign({
+      coalId: coal._id,
+      coal: coal.coal,
+      tonnes,
+      percent: state.capacity > 0 ? tonnes / state.capacity * 100 : null,
+      costPerTonne,
+      cost: costPerTonne * tonnes,
+      stock: (stock === undefined) ? null : stock,
+      feedsFrom: feeds ? feeds.at : null
+    }, score));
+  }
+
+  candidates.sort((a, b) =>
+    ((b.withinTargetsPct === null ? -1 : b.withinTargetsPct) - (a.withinTargetsPct === null ? -1 : a.withinTargetsPct)) ||
+    (a.deviation - b.deviation) ||
+    (a.costPerTonne - b.costPerTonne) ||
+    (b.tonnes - a.tonnes));
+  return { state, free, baseline, candidates: candidates.slice(0, opts.limit), omittedCoals: usable.length - tried.length };
 }
 
+/**
+ * GET /api/units/:unit/bunkers/:mill/recommendations
+ *   ?minAFT=&gcvMin=&gcvMax=  targets for the unit's flow-weighted AFT / GCV (on gcvBasis)
+ *   &tonnes=                  size of the next layer, at most the free space (default: 25/50/75/100% of it)
+ *   &hours=24&step=30&limit=10&gcvBasis=
+ * Returns the bunker's level and free space, the no-fill baseline, the ranked candidates and how many
+ * usable coals were left untried (omittedCoals, see RECOMMEND_MAX_COALS).
+ */
+app.get('/api/units/:unit/bunkers/:mill/recommendations', async (req, res) => {
+  try {
+    const unit = Number(req.params.unit || 0);
+    if (![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+
+    const errors = [];
+    const hours = isBlank(req.query.hours) ? RECOMMEND_DEFAULTS.hours : Number(req.query.hours);
+    if (!isFinite(hours) || hours <= 0 || hours > FORECAST_MAX_HOURS) errors.push(`hours must be a number in (0, ${FORECAST_MAX_HOURS}]`);
+    const stepMinutes = isBlank(req.query.step) ? RECOMMEND_DEFAULTS.stepMinutes : Number(req.query.step);
+    if (!isFinite(stepMinutes) || stepMinutes < 1) errors.push('step must be at least 1 (minutes)');
+    else if (isFinite(hours) && hours * 60 / stepMinutes > FORECAST_MAX_POINTS) errors.push(`hours/step gives more than ${FORECAST_MAX_POINTS} points; use a larger step`);
+    const limit = isBlank(req.query.limit) ? RECOMMEND_DEFAULTS.limit : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) errors.push('limit must be a positive integer');
+    const targets = {};
+    ['minAFT', 'gcvMin', 'gcvMax'].forEach(k => {
+      targets[k] = optionalNumber(req.query[k]);
+      if (Number.isNaN(targets[k]) || (targets[k] !== null && targets[k] <= 0)) errors.push(`${k} must be a positive number`);
+    });
+    if (targets.gcvMin > 0 && targets.gcvMax > 0 && targets.gcvMin > targets.gcvMax) errors.push('gcvMin must not exceed gcvMax');
+    const tonnes = optionalNumber(req.query.tonnes);
+    if (Number.isNaN(tonnes) || (tonnes !== null && tonnes <= 0)) errors.push('tonnes must be a positive number');
+    const gcvBasis = normalizeGcvBasis(req.query.gcvBasis);
+    if (gcvBasis === null) errors.push(`gcvBasis must be one of ${GCV_BASES.join(', ')}`);
+    if (errors.length) return res.status(400).json({ error: 'Validation failed', errors });
+
+    const map = await UnitMap.findOne({ unit }).lean();
+    if (!map) return res.status(404).json({ error: 'Unit not initialized' });
+    const millCount = parseMillCount(map.millCount) || DEFAULT_MILL_COUNT;
+    const mill = Number(req.params.mill);
+    if (!Number.isInteger(mill) || mill < 0 || mill >= millCount) return res.status(400).json({ error: `mill must be an integer 0..${millCount - 1}` });
+    const blend = await Blend.findById(map.blendId).lean();
+    if (!blend) return res.status(404).json({ error: 'Blend not found' });
+
+    const from = new Date();
+    const level = bunkerState(blend, mill, from);
+    const free = Math.max(0, level.capacity - level.tonnes);
+    if (tonnes !== null && tonnes > free + 1e-6) {
+      return res.status(400).json({ error: 'Validation failed', errors: [`tonnes must not exceed the free space of ${millLabel(mill)} (${free.toFixed(1)} t)`] });
+    }
+    const basis = gcvBasis || normalizeGcvBasis(blend.gcvBasis) || DEFAULT_GCV_BASIS;
+    const aftModel = await aftModelForBlend(null, unit);
+    const resolver = buildCoalResolver(await loadBlendCoals(blend.analysisAt || from));
+    const coals = (await loadBlendCoals(from)).filter(c => !c.retired);
+    const stockByKey = {};
+    (await computeStock(from)).forEach(r => {
+      if (r.received !== 0 || r.adjusted !== 0) stockByKey[coalNameKey(r.coal)] = r.stock;
+    });
+
+    const result = await recommendFills(blend, mill, {
+      from, times: forecastTimes(from, hours, stepMinutes), millCount, resolver, coals, stockByKey,
+      gcvBasis: basis, aftModel, targets, tonnes, limit
+    });
+    return res.json({
+      unit,
+      mill,
+      label: millLabel(mill),
+      at: from,
+      hours,
+      stepMinutes,
+      gcvBasis: basis,
+      targets,
+      capacity: result.state.capacity,
+      tonnes: result.state.tonnes,
+      freeTonnes: result.free,
+      emptyAt: result.state.emptyAt,
+      baseline: result.baseline,
+      recommendations: result.candidates,
+      omittedCoals: result.omittedCoals
+    });
+  } catch (err) {
+    console.error('GET /api/units/:unit/bunkers/:mill/recommendations error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
 /* -------------------- Blend endpoints (create / update / latest) -------------------- */
+// resolve row.coal entries (string or object mapping millIndex -> ref) to coal names where
+// possible (unresolved refs are kept as typed) and sanitize percentages, gcv, cost
+function resolveRowCoalField(row, resolver, millCount = DEFAULT_MILL_COUNT) {
+  if (!row) return row;
+  const copy = Object.assign({}, row);
+  if (copy.coal && typeof copy.coal === 'object') {
+    const newMap = {};
+    Object.keys(copy.coal).forEach(k => {
+      const ref = copy.coal[k];
+      const doc = resolver.resolve(ref);
+      newMap[k] = doc ? doc.coal : (ref || '');
+    });
+    copy.coal = newMap;
+  } else {
+    const doc = resolver.resolve(copy.coal ? String(copy.coal) : '');
+    if (doc) copy.coal = doc.coal;
+  }
+  if (Array.isArray(copy.percentages)) copy.percentages = copy.percentages.map(v => Number(v) || 0);
+  else copy.percentages = Array(millCount).fill(0);
+  copy.gcv = (copy.gcv !== undefined && copy.gcv !== null) ? Number(copy.gcv) : 0;
+  copy.cost = (copy.cost !== undefined && copy.cost !== null) ? Number(copy.cost) : 0;
+  return copy;
+}
+
 /**
  * Create a new Blend document; compute metrics server-side and store them.
- * Body: { rows: [.], flows: [.], generation: number }
+ * Body: { rows: [.], flows: [.], generation: number, asOf?: date (defaults to now),
+ *         aftModel?: correlation name (defaults to default-3band),
+ *         emissionSettings?: overrides of EMISSION_DEFAULTS,
+ *         millCount?: mills/bunkers (defaults to DEFAULT_MILL_COUNT),
+ *         boilerEfficiency?: %, turbineHeatRate?: kcal/kWh (see stationPerformance),
+ *         gcvBasis?: ARB | ADB | DB | DAF reporting basis of the blended GCV (default ARB),
+ *         bunkerDischarge?: [{ model, mixingZonePct }] per bunker (default plug, see DISCHARGE_MODELS),
+ *         unit?: 1 | 2 | 3 the blend is for }
+ * With a unit, its mill count, AFT correlation, emission settings and discharge models apply, and
+ * flows are set points burnt under the unit's mill statuses (see effectiveFlows), as on PUT.
  */
 app.post('/api/blend', async (req, res) => {
   try {
@@ -549,91 +3907,63 @@ app.post('/api/blend', async (req, res) => {
     if (!Array.isArray(rows) || !Array.isArray(flows)) {
       return res.status(400).json({ error: 'Invalid payload: rows[] and flows[] required' });
     }
+    const unit = req.body.unit !== undefined && req.body.unit !== null ? Number(req.body.unit) : null;
+    if (unit !== null && ![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+    const millCount = await requestMillCount(req.body, unit);
+    if (!millCount) return res.status(400).json({ error: `millCount must be an integer 1..${MAX_MILL_COUNT}` });
+    const shapeErrors = validateBlendShape(rows, flows, millCount);
+    if (shapeErrors.length) return res.status(400).json({ error: 'Validation failed', errors: shapeErrors });
 
-    // load coal docs once and build lookup maps
-    const allCoals = await Coal.find().lean();
-    const byId = {};
-    const byNameLower = {};
-    allCoals.forEach(c => {
-      if (c._id) byId[String(c._id)] = c;
-      if (c.coal) byNameLower[String(c.coal).toLowerCase()] = c;
-    });
-
-    // helper to resolve row.coal entries (handle string or object mapping -> resolved names if possible)
-    function resolveRowCoalField(row) {
-      if (!row) return row;
-      const copy = Object.assign({}, row);
-      if (copy.coal && typeof copy.coal === 'object') {
-        const newMap = {};
-        Object.keys(copy.coal).forEach(k => {
-          const ref = copy.coal[k];
-          if (ref && byId[ref]) newMap[k] = byId[ref].coal;
-          else if (ref && byNameLower[String(ref).toLowerCase()]) newMap[k] = byNameLower[String(ref).toLowerCase()].coal;
-          else newMap[k] = ref || '';
-        });
-        copy.coal = newMap;
-      } else {
-        const ref = copy.coal ? String(copy.coal) : '';
-        if (ref) {
-          if (byId[ref]) copy.coal = byId[ref].coal;
-          else if (byNameLower[ref.toLowerCase()]) copy.coal = byNameLower[ref.toLowerCase()].coal;
-        }
-      }
-      // sanitize percentages, gcv, cost
-      if (Array.isArray(copy.percentages)) copy.percentages = copy.percentages.map(v => Number(v) || 0);
-      else copy.percentages = [0,0,0,0,0,0];
-      copy.gcv = (copy.gcv !== undefined && copy.gcv !== null) ? Number(copy.gcv) : 0;
-      copy.cost = (copy.cost !== undefined && copy.cost !== null) ? Number(copy.cost) : 0;
-      return copy;
-    }
-
-    const rowsToSave = (rows || []).map(row => resolveRowCoalField(row));
-
-    // compute metrics including bunkers
-    function mergeClientTimersIntoMetrics(metricsBunkers, clientBunkers) {
-      if (!Array.isArray(metricsBunkers) || !Array.isArray(clientBunkers)) return;
-      for (let bi = 0; bi < Math.min(metricsBunkers.length, clientBunkers.length); bi++) {
-        const mB = metricsBunkers[bi];
-        const cB = clientBunkers[bi];
-        if (!mB || !Array.isArray(mB.layers) || !cB || !Array.isArray(cB.layers)) continue;
-        const clientMap = {};
-        cB.layers.forEach(l => {
-          if (l && l.rowIndex !== undefined) clientMap[Number(l.rowIndex)] = l;
-        });
-        mB.layers.forEach(layer => {
-          if (!layer || layer.rowIndex === undefined) return;
-          const key = Number(layer.rowIndex);
-          if (clientMap[key] && clientMap[key].timer) {
-            layer.timer = clientMap[key].timer;
-          } else if (clientMap[key] && clientMap[key].rawSeconds != null && isFinite(clientMap[key].rawSeconds)) {
-            const s = Math.max(0, Math.round(clientMap[key].rawSeconds));
-            const hh = String(Math.floor(s/3600)).padStart(2,'0');
-            const mm = String(Math.floor((s%3600)/60)).padStart(2,'0');
-            const ss = String(s % 60).padStart(2,'0');
-            layer.timer = `${hh}:${mm}:${ss}`;
-          }
-        });
-      }
-    }
-    const metrics = await computeBlendMetrics(rowsToSave, flows, generation, (req.body && req.body.coalColorMap) ? req.body.coalColorMap : {});
+    const resolver = buildCoalResolver(await Coal.find().lean());
 
-    // merge timers if client posted them
-    if (req.body && Array.isArray(req.body.clientBunkers)) {
-      mergeClientTimersIntoMetrics(metrics.bunkers, req.body.clientBunkers);
-    }
+    const rowsToSave = (rows || []).map(row => resolveRowCoalField(row, resolver, millCount));
+
+    const blendAt = req.body.asOf ? parseDateValue(req.body.asOf) : new Date();
+    if (!blendAt) return res.status(400).json({ error: 'asOf must be a valid date' });
+    const aftModel = await aftModelForBlend(req.body.aftModel, unit);
+    if (!aftModel) return res.status(400).json({ error: `Unknown AFT model: ${req.body.aftModel}` });
+    const emission = await emissionSettingsFor(unit, req.body.emissionSettings);
+    if (emission.errors.length) return res.status(400).json({ error: 'Validation failed', errors: emission.errors });
+    const perf = validatePerformanceInputs(req.body);
+    if (perf.errors.length) return res.status(400).json({ error: 'Validation failed', errors: perf.errors });
+    const gcvBasis = normalizeGcvBasis(req.body.gcvBasis);
+    if (gcvBasis === null) return res.status(400).json({ error: `gcvBasis must be one of ${GCV_BASES.join(', ')}` });
+    // metrics follow the flows actually burnt (stopped mills at 0, see effectiveFlows)
+    const unitMap = unit ? await UnitMap.findOne({ unit }).lean() : null;
+    const burnt = unitEffectiveFlows(unitMap, { flows }, millCount);
+    const metrics = await computeBlendMetrics(rowsToSave, burnt.flows, generation, (req.body && req.body.coalColorMap) ? req.body.coalColorMap : {}, blendAt, { aftModel, emissionSettings: emission.settings, millCount, performance: perf.inputs, gcvBasis });
+
+    // every layer is a fresh fill; levels drain from here on the burnt flows
+    const now = new Date();
+    const flowHistory = appendFlowHistory([], burnt.flows, now);
+    const discharge = dischargeForBlend(unitMap, null, millCount);
+    const dischargeErrors = [];
+    (Array.isArray(req.body.bunkerDischarge) ? req.body.bunkerDischarge : []).slice(0, millCount).forEach((d, m) => {
+      const r = validateDischarge(d, DEFAULT_DISCHARGE, `bunkerDischarge[${m}]`);
+      discharge[m] = r.discharge;
+      dischargeErrors.push(...r.errors);
+    });
+    if (dischargeErrors.length) return res.status(400).json({ error: 'Validation failed', errors: dischargeErrors });
+    settleBunkers(null, { bunkers: metrics.bunkers || [], bunkerCapacity, bunkerCapacities, flowHistory }, now, discharge);
 
     // create and save blend - include bunkers from metrics
     const doc = new Blend(Object.assign({}, {
       rows: rowsToSave,
       flows,
+      effectiveFlows: burnt.flows,
+      flowHistory,
       generation,
+      millCount,
+      boilerEfficiency: perf.inputs.boilerEfficiency === undefined ? null : perf.inputs.boilerEfficiency,
+      turbineHeatRate: perf.inputs.turbineHeatRate === undefined ? null : perf.inputs.turbineHeatRate,
       bunkerCapacity: Number(bunkerCapacity) || 0,
       bunkerCapacities: Array.isArray(bunkerCapacities) ? bunkerCapacities.map(v => Number(v||0)) : [],
-      bunkers: metrics.bunkers || []
+      bunkers: metrics.bunkers || [],
+      analysisAt: blendAt
     }, metrics));
 
     await doc.save();
-    return res.status(201).json({ message: 'Saved', id: doc._id });
+    return res.status(201).json({ message: 'Saved', id: doc._id, unresolvedCoalRefs: metrics.unresolvedCoalRefs, effectiveFlows: burnt.flows, unallocatedTph: burnt.unallocatedTph, blend: flagDeprecatedFields(doc.toObject()) });
   } catch (err) {
     console.error('POST /api/blend error:', err);
     return res.status(500).json({ error: err.message || 'Server error' });
@@ -641,7 +3971,21 @@ app.post('/api/blend', async (req, res) => {
 });
 
 /**
- * Update existing Blend by ID; recompute metrics and save
+ * Update existing Blend by ID; recompute metrics and save.
+ * Pass asOf to recompute against the coal analyses effective at that time (e.g. the
+ * blend's stored analysisAt to reproduce its original AFT/GCV).
+ * AFT uses body.aftModel when given, otherwise the correlation selected for the blend's unit;
+ * emissions use the unit's emission settings with body.emissionSettings on top.
+ * Rows and flows are sized/validated by the unit's millCount (unmapped blends keep their own).
+ * boilerEfficiency / turbineHeatRate / gcvBasis keep their stored values unless the body sends them
+ * (null clears the performance inputs).
+ * Bunker levels are the server's: every layer keeps its drained level and fill time, and
+ * body.fills [{ mill, rowIndex, coal?, tonnes | percent }] refill or empty single layers. A row sent
+ * with percentages refills each cell that differs from the drained level (e.g. an optimised blend sent
+ * as-is); leave percentages out to keep the levels (see settleFills). Changed flows are appended to flowHistory.
+ * Bunkers drain under the unit's discharge models (PUT /api/units/:unit/bunker-discharge).
+ * flows are set points: metrics, flowHistory and effectiveFlows use them with the unit's mill
+ * statuses applied (PUT /api/units/:unit/mill-status/:mill).
  */
 app.put('/api/blend/:id', async (req, res) => {
   try {
@@ -651,98 +3995,126 @@ app.put('/api/blend/:id', async (req, res) => {
       return res.status(400).json({ error: 'Invalid payload: rows[] and flows[] required' });
     }
 
-    // load coal docs once and build lookup maps
-    const allCoals = await Coal.find().lean();
-    const byId = {};
-    const byNameLower = {};
-    allCoals.forEach(c => {
-      if (c._id) byId[String(c._id)] = c;
-      if (c.coal) byNameLower[String(c.coal).toLowerCase()] = c;
-    });
-
-    // same resolve function as POST
-    function resolveRowCoalField(row) {
-      if (!row) return row;
-      const copy = Object.assign({}, row);
-      if (copy.coal && typeof copy.coal === 'object') {
-        const newMap = {};
-        Object.keys(copy.coal).forEach(k => {
-          const ref = copy.coal[k];
-          if (ref && byId[ref]) newMap[k] = byId[ref].coal;
-          else if (ref && byNameLower[String(ref).toLowerCase()]) newMap[k] = byNameLower[String(ref).toLowerCase()].coal;
-          else newMap[k] = ref || '';
-        });
-        copy.coal = newMap;
-      } else {
-        const ref = copy.coal ? String(copy.coal) : '';
-        if (ref) {
-          if (byId[ref]) copy.coal = byId[ref].coal;
-          else if (byNameLower[ref.toLowerCase()]) copy.coal = byNameLower[ref.toLowerCase()].coal;
-        }
-      }
-      if (Array.isArray(copy.percentages)) copy.percentages = copy.percentages.map(v => Number(v) || 0);
-      else copy.percentages = [0,0,0,0,0,0];
-      copy.gcv = (copy.gcv !== undefined && copy.gcv !== null) ? Number(copy.gcv) : 0;
-      copy.cost = (copy.cost !== undefined && copy.cost !== null) ? Number(copy.cost) : 0;
-      return copy;
-    }
-
-    const rowsToSave = (rows || []).map(row => resolveRowCoalField(row));
-
-    function mergeClientTimersIntoMetrics(metricsBunkers, clientBunkers) {
-      if (!Array.isArray(metricsBunkers) || !Array.isArray(clientBunkers)) return;
-      for (let bi = 0; bi < Math.min(metricsBunkers.length, clientBunkers.length); bi++) {
-        const mB = metricsBunkers[bi];
-        const cB = clientBunkers[bi];
-        if (!mB || !Array.isArray(mB.layers) || !cB || !Array.isArray(cB.layers)) continue;
-        const clientMap = {};
-        cB.layers.forEach(l => {
-          if (l && l.rowIndex !== undefined) clientMap[Number(l.rowIndex)] = l;
-        });
-        mB.layers.forEach(layer => {
-          if (!layer || layer.rowIndex === undefined) return;
-          const key = Number(layer.rowIndex);
-          if (clientMap[key] && clientMap[key].timer) {
-            layer.timer = clientMap[key].timer;
-          } else if (clientMap[key] && clientMap[key].rawSeconds != null && isFinite(clientMap[key].rawSeconds)) {
-            const s = Math.max(0, Math.round(clientMap[key].rawSeconds));
-            const hh = String(Math.floor(s/3600)).padStart(2,'0');
-            const mm = String(Math.floor((s%3600)/60)).padStart(2,'0');
-            const ss = String(s % 60).padStart(2,'0');
-            layer.timer = `${hh}:${mm}:${ss}`;
-          }
-        });
-      }
-    }
-    const metrics = await computeBlendMetrics(rowsToSave, flows, generation, (req.body && req.body.coalColorMap) ? req.body.coalColorMap : {});
+    const previous = mongoose.isValidObjectId(id) ? await Blend.findById(id).lean() : null;
+    if (!previous) return res.status(404).json({ error: 'Blend not found' });
+    const unit = (await unitByBlendId())[String(id)];
 
-    // merge timers if client posted them
-    if (req.body && Array.isArray(req.body.clientBunkers)) {
-      mergeClientTimersIntoMetrics(metrics.bunkers, req.body.clientBunkers);
-    }
+    const millCount = unit ? await millCountForUnit(unit) : (parseMillCount(req.body.millCount) || parseMillCount(previous.millCount) || DEFAULT_MILL_COUNT);
+
+    const resolver = buildCoalResolver(await Coal.find().lean());
+
+    const rowsToSave = (rows || []).map(row => resolveRowCoalField(row, resolver, millCount));
+    // rows sent without percentages keep the drained levels
+    rowsToSave.forEach((row, i) => { if (row && !Array.isArray(rows[i].percentages)) row.percentages = null; });
+
+    // bunker levels are the server's drained ones; only fills and changed cells change them
+    const now = new Date();
+    const settled = settleFills(previous, rowsToSave, req.body.fills, { bunkerCapacity, bunkerCapacities }, now, millCount, resolver);
+    if (settled.errors.length) return res.status(400).json({ error: 'Validation failed', errors: settled.errors });
+    const shapeErrors = validateBlendShape(rowsToSave, flows, millCount);
+    if (shapeErrors.length) return res.status(400).json({ error: 'Validation failed', errors: shapeErrors });
+
+    const blendAt = req.body.asOf ? parseDateValue(req.body.asOf) : new Date();
+    if (!blendAt) return res.status(400).json({ error: 'asOf must be a valid date' });
+
+    const aftModel = await aftModelForBlend(req.body.aftModel, unit);
+    if (!aftModel) return res.status(400).json({ error: `Unknown AFT model: ${req.body.aftModel}` });
+    const emission = await emissionSettingsFor(unit, req.body.emissionSettings);
+    if (emission.errors.length) return res.status(400).json({ error: 'Validation failed', errors: emission.errors });
+    const perf = validatePerformanceInputs(req.body);
+    if (perf.errors.length) return res.status(400).json({ error: 'Validation failed', errors: perf.errors });
+    const performanceInputs = {};
+    PERFORMANCE_INPUTS.forEach(k => {
+      performanceInputs[k] = perf.inputs[k] !== undefined ? perf.inputs[k] : numberOrNull(previous[k]);
+    });
+    const gcvBasis = normalizeGcvBasis(req.body.gcvBasis);
+    if (gcvBasis === null) return res.status(400).json({ error: `gcvBasis must be one of ${GCV_BASES.join(', ')}` });
+    // metrics follow the flows actually burnt (stopped mills at 0, see effectiveFlows)
+    const unitMap = unit ? await UnitMap.findOne({ unit }).lean() : null;
+    const burnt = unitEffectiveFlows(unitMap, { flows }, millCount);
+    const metrics = await computeBlendMetrics(rowsToSave, burnt.flows, generation, (req.body && req.body.coalColorMap) ? req.body.coalColorMap : {}, blendAt, { aftModel, emissionSettings: emission.settings, millCount, performance: performanceInputs, gcvBasis: gcvBasis || previous.gcvBasis });
+
+    const flowHistory = appendFlowHistory(previous.flowHistory, burnt.flows, now);
+    settleBunkers(settled.levels, { bunkers: metrics.bunkers || [], bunkerCapacity, bunkerCapacities, flowHistory }, now, dischargeForBlend(unitMap, previous, millCount));
+
+    // charge the yard with the burn of the bunkers/flows being replaced (unit blends only)
+    await accrueBlendConsumption(previous, unit, now);
 
     const updated = await Blend.findByIdAndUpdate(
       id,
       Object.assign({}, {
         rows: rowsToSave,
         flows,
+        effectiveFlows: burnt.flows,
+        flowHistory,
         generation,
+        millCount,
+        boilerEfficiency: performanceInputs.boilerEfficiency,
+        turbineHeatRate: performanceInputs.turbineHeatRate,
         bunkerCapacity: Number(bunkerCapacity) || 0,
         bunkerCapacities: Array.isArray(bunkerCapacities) ? bunkerCapacities.map(v => Number(v||0)) : [],
-        bunkers: metrics.bunkers || []
+        bunkers: metrics.bunkers || [],
+        analysisAt: blendAt
       }, metrics),
       { new: true }
     );
 
     if (!updated) return res.status(404).json({ error: 'Blend not found' });
 
-    return res.json({ message: 'Updated', id: updated._id });
+    // warn (without blocking the save) when a coal in the new blend is short in the yard
+    const stockWarnings = stockWarningsForBlend(updated, await computeStock(now));
+
+    return res.json({ message: 'Updated', id: updated._id, stockWarnings, unresolvedCoalRefs: metrics.unresolvedCoalRefs, effectiveFlows: burnt.flows, unallocatedTph: burnt.unallocatedTph, blend: flagDeprecatedFields(updated.toObject()) });
   } catch (err) {
     console.error('PUT /api/blend/:id error:', err);
     return res.status(500).json({ error: err.message || 'Server error' });
   }
 });
 
+/**
+ * Compute blend metrics for a payload without saving anything (live preview while editing).
+ * Body: same as POST /api/blend ({ rows, flows, generation, coalColorMap?, asOf?, aftModel?,
+ *       boilerEfficiency?, turbineHeatRate?, gcvBasis? }),
+ *       plus unit? to use that unit's AFT correlation, emission settings, mill count
+ *       (millCount? otherwise) and mill statuses (flows are then set points, see effectiveFlows).
+ * Returns the metrics (including bunkers[].layers) that a save would store.
+ */
+app.post('/api/blend/evaluate', async (req, res) => {
+  try {
+    const { rows, flows, generation } = req.body || {};
+    if (!Array.isArray(rows) || !Array.isArray(flows)) {
+      return res.status(400).json({ error: 'Invalid payload: rows[] and flows[] required' });
+    }
+    const unit = req.body.unit !== undefined && req.body.unit !== null ? Number(req.body.unit) : null;
+    if (unit !== null && ![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+
+    const blendAt = req.body.asOf ? parseDateValue(req.body.asOf) : new Date();
+    if (!blendAt) return res.status(400).json({ error: 'asOf must be a valid date' });
+    const aftModel = await aftModelForBlend(req.body.aftModel, unit);
+    if (!aftModel) return res.status(400).json({ error: `Unknown AFT model: ${req.body.aftModel}` });
+    const emission = await emissionSettingsFor(unit, req.body.emissionSettings);
+    if (emission.errors.length) return res.status(400).json({ error: 'Validation failed', errors: emission.errors });
+    const millCount = await requestMillCount(req.body, unit);
+    if (!millCount) return res.status(400).json({ error: `millCount must be an integer 1..${MAX_MILL_COUNT}` });
+    const shapeErrors = validateBlendShape(rows, flows, millCount);
+    if (shapeErrors.length) return res.status(400).json({ error: 'Validation failed', errors: shapeErrors });
+    const perf = validatePerformanceInputs(req.body);
+    if (perf.errors.length) return res.status(400).json({ error: 'Validation failed', errors: perf.errors });
+    const gcvBasis = normalizeGcvBasis(req.body.gcvBasis);
+    if (gcvBasis === null) return res.status(400).json({ error: `gcvBasis must be one of ${GCV_BASES.join(', ')}` });
+
+    const resolver = buildCoalResolver(await Coal.find().lean());
+    const resolvedRows = rows.map(row => resolveRowCoalField(row, resolver, millCount));
+    const burnt = unitEffectiveFlows(unit ? await UnitMap.findOne({ unit }).lean() : null, { flows }, millCount);
+    const metrics = await computeBlendMetrics(resolvedRows, burnt.flows, generation, req.body.coalColorMap || {}, blendAt, { aftModel, emissionSettings: emission.settings, millCount, performance: perf.inputs, gcvBasis });
+
+    return res.json(flagDeprecatedFields(Object.assign({ rows: resolvedRows, analysisAt: blendAt, effectiveFlows: burnt.flows, unallocatedTph: burnt.unallocatedTph }, metrics)));
+  } catch (err) {
+    console.error('POST /api/blend/evaluate error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
 /**
  * Return the latest Blend document (most recent createdAt)
  */
@@ -750,17 +4122,754 @@ app.get('/api/blend/latest', async (req, res) => {
   try {
     const latest = await Blend.findOne().sort({ createdAt: -1 }).lean();
     if (!latest) return res.status(404).json({ error: 'No blends found' });
-    return res.json(latest);
+    return res.json(flagDeprecatedFields(latest));
   } catch (err) {
     console.error('GET /api/blend/latest error:', err);
     return res.status(500).json({ error: err.message || 'Server error' });
   }
 });
 
+/**
+ * Return a stored Blend by ID (the input page loads a unit's blend through this)
+ */
+app.get('/api/blend/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const blend = mongoose.isValidObjectId(id) ? await Blend.findById(id).lean() : null;
+    if (!blend) return res.status(404).json({ error: 'Blend not found' });
+    return res.json(flagDeprecatedFields(blend));
+  } catch (err) {
+    console.error('GET /api/blend/:id error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Blend optimiser (least cost blend under AFT / GCV / sulphur limits) -------------------- */
+/**
+ * Dense two-phase simplex: minimise c.x subject to constraints, x >= 0.
+ * constraints: [{ coef: number[] (length n), op: '<=' | '>=' | '=', rhs: number }]
+ * Returns { status: 'optimal' | 'infeasible' | 'unbounded', x, value }.
+ */
+function solveLP(c, constraints, n) {
+  const EPS = 1e-9;
+  const rows = constraints.map(k => (k.rhs < 0)
+    ? { coef: k.coef.map(v => -v), op: k.op === '<=' ? '>=' : (k.op === '>=' ? '<=' : '='), rhs: -k.rhs }
+    : k);
+  const m = rows.length;
+  const nSlack = rows.filter(r => r.op !== '=').length;
+  const nArt = rows.filter(r => r.op !== '<=').length;
+  const cols = n + nSlack + nArt;
+  const T = [];
+  const basis = [];
+  let si = n, ai = n + nSlack;
+  rows.forEach(r => {
+    const line = new Array(cols + 1).fill(0);
+    for (let j = 0; j < n; j++) line[j] = Number(r.coef[j]) || 0;
+    line[cols] = r.rhs;
+    if (r.op === '<=') { line[si] = 1; basis.push(si++); }
+    else if (r.op === '>=') { line[si++] = -1; line[ai] = 1; basis.push(ai++); }
+    else { line[ai] = 1; basis.push(ai++); }
+    T.push(line);
+  });
+  const isArt = j => j >= n + nSlack;
+
+  function pivot(r, j) {
+    const pr = T[r], pv = pr[j];
+    for (let k = 0; k <= cols; k++) pr[k] /= pv;
+    for (let i = 0; i <= m; i++) {
+      if (i === r) continue;
+      const f = T[i][j];
+      if (Math.abs(f) < EPS) continue;
+      const line = T[i];
+      for (let k = 0; k <= cols; k++) line[k] -= f * pr[k];
+    }
+    basis[r] = j;
+  }
+
+  // objective row T[m] holds reduced costs; T[m][cols] = -z
+  function run(allowArt) {
+    for (let iter = 0; iter < 20000; iter++) {
+      const bland = iter > 2000;   // Dantzig first, Bland's rule if it starts cycling
+      let enter = -1, best = -EPS;
+      for (let j = 0; j < cols; j++) {
+        if (!allowArt && isArt(j)) continue;
+        if (T[m][j] < best) { enter = j; best = T[m][j]; if (bland) break; }
+      }
+      if (enter < 0) return 'optimal';
+      let leave = -1, ratio = Infinity;
+      for (let i = 0; i < m; i++) {
+        if (T[i][enter] > EPS) {
+          const q = T[i][cols] / T[i][enter];
+          if (q < ratio - EPS || (Math.abs(q - ratio) <= EPS && basis[i] < basis[leave])) { ratio = q; leave = i; }
+        }
+      }
+      if (leave < 0) return 'unbounded';
+      pivot(leave, enter);
+    }
+    return 'unbounded';
+  }
+
+  // phase 1: drive the artificials to zero
+  T.push(new Array(cols + 1).fill(0));
+  for (let i = 0; i < m; i++) {
+    if (!isArt(basis[i])) continue;
+    for (let k = 0; k <= cols; k++) if (!isArt(k) || k === cols) T[m][k] -= T[i][k];
+  }
+  if (nArt) {
+    run(true);
+    if (-T[m][cols] > 1e-6) return { status: 'infeasible' };
+    for (let i = 0; i < m; i++) {
+      if (!isArt(basis[i])) continue;
+      let j = 0;
+      while (j < n + nSlack && Math.abs(T[i][j]) < EPS) j++;
+      if (j < n + nSlack) pivot(i, j);
+    }
+  }
+
+  // phase 2: the real objective
+  T[m] = new Array(cols + 1).fill(0);
+  for (let j = 0; j < n; j++) T[m][j] = Number(c[j]) || 0;
+  for (let i = 0; i < m; i++) {
+    const cb = basis[i] < n ? (Number(c[basis[i]]) || 0) : 0;
+    if (!cb) continue;
+    for (let k = 0; k <= cols; k++) T[m][k] -= cb * T[i][k];
+  }
+  const status = run(false);
+  if (status !== 'optimal') return { status };
+  const x = new Array(n).fill(0);
+  for (let i = 0; i < m; i++) if (basis[i] < n) x[basis[i]] = T[i][cols];
+  return { status, x, value: x.reduce((s, v, j) => s + v * (Number(c[j]) || 0), 0) };
+}
+
+// the LP keeps this far inside each limit, so rounding the percentages to 0.01 cannot break one
+// (silAl: SiO2 + Al2O3 inside an AFT band edge, aft: deg C, gcv: kcal/kg, sulphur: %)
+const OPTIMISE_MARGINS = { silAl: 0.05, aft: 0.05, gcv: 1, sulphur: 0.001 };
+
+// AFT correlation bands as [lo, hi) ranges of SiO2 + Al2O3
+function aftBandRanges(model) {
+  const bands = ((model && model.coefficients) || AFT_MODELS[DEFAULT_AFT_MODEL].coefficients).bands;
+  let lo = null;
+  return bands.map(b => {
+    const hi = (b.max === null || b.max === undefined) ? null : Number(b.max);
+    const range = { band: b, lo, hi };
+    lo = hi;
+    return range;
+  });
+}
+
+/**
+ * Build and solve the least-cost LP for one band assignment.
+ * Variables are x[mill][coal] in percent; `bands[i]` is the AFT band index used by running mill i.
+ * `drop` names constraint groups to leave out (used to explain infeasibility).
+ */
+function solveBlendLP(p, bands, drop = []) {
+  const { coals, mills, flows, capacities, limits, ranges } = p;
+  const nc = coals.length;
+  const n = mills.length * nc;
+  const totalFlow = mills.reduce((s, m) => s + flows[m], 0);
+  const idx = (i, c) => i * nc + c;
+  const cons = [];
+  const on = g => !drop.includes(g);
+  const row = fn => { const coef = new Array(n).fill(0); fn(coef); return coef; };
+
+  mills.forEach((mill, i) => {
+    cons.push({ coef: row(a => coals.forEach((_, c) => { a[idx(i, c)] = 1; })), op: '=', rhs: 100 });
+    if (on('gcv') && limits.gcvMin !== null) cons.push({ coef: row(a => coals.forEach((k, c) => { a[idx(i, c)] = k.gcv / 100; })), op: '>=', rhs: limits.gcvMin + OPTIMISE_MARGINS.gcv });
+    if (on('gcv') && limits.gcvMax !== null) cons.push({ coef: row(a => coals.forEach((k, c) => { a[idx(i, c)] = k.gcv / 100; })), op: '<=', rhs: limits.gcvMax - OPTIMISE_MARGINS.gcv });
+    if (on('sulphur') && limits.maxSulphur !== null) cons.push({ coef: row(a => coals.forEach((k, c) => { a[idx(i, c)] = k.sulphur / 100; })), op: '<=', rhs: limits.maxSulphur - OPTIMISE_MARGINS.sulphur });
+    if (on('aft') && limits.minAFT !== null) {
+      const r = ranges[bands[i]];
+      const silAl = row(a => coals.forEach((k, c) => { a[idx(i, c)] = k.silAl / 100; }));
+      if (r.lo !== null) cons.push({ coef: silAl, op: '>=', rhs: r.lo + OPTIMISE_MARGINS.silAl });
+      if (r.hi !== null) cons.push({ coef: silAl, op: '<=', rhs: r.hi - OPTIMISE_MARGINS.silAl });
+      cons.push({ coef: row(a => coals.forEach((k, c) => { a[idx(i, c)] = k.aftTerm[bands[i]] / 100; })), op: '>=', rhs: limits.minAFT + OPTIMISE_MARGINS.aft });
+    }
+  });
+  coals.forEach((k, c) => {
+    const share = row(a => mills.forEach((mill, i) => { a[idx(i, c)] = flows[mill] / totalFlow; }));
+    if (on('shares') && k.minShare !== null) cons.push({ coef: share, op: '>=', rhs: k.minShare });
+    if (on('shares') && k.maxShare !== null) cons.push({ coef: share, op: '<=', rhs: k.maxShare });
+    if (on('stock') && k.stock !== null) {
+      cons.push({ coef: row(a => mills.forEach((mill, i) => { a[idx(i, c)] = (capacities[mill] || 0) / 100; })), op: '<=', rhs: Math.max(0, k.stock) });
+    }
+  });
+
+  // flow-weighted cost per tonne of the unit's feed
+  const cost = new Array(n).fill(0);
+  mills.forEach((mill, i) => coals.forEach((k, c) => { cost[idx(i, c)] = k.cost * flows[mill] / totalFlow / 100; }));
+  return solveLP(cost, cons, n);
+}
+
+// cheapest band assignment: every mill in the same band first, then one mill at a time
+function optimiseBlendBands(p, drop = []) {
+  const nb = (drop.includes('aft') || p.limits.minAFT === null) ? 1 : p.ranges.length;
+  let best = null;
+  for (let b = 0; b < nb; b++) {
+    const bands = p.mills.map(() => b);
+    const sol = solveBlendLP(p, bands, drop);
+    if (sol.status === 'optimal' && (!best || sol.value < best.value - 1e-9)) best = Object.assign({ bands }, sol);
+  }
+  if (!best || nb === 1) return best;
+  for (let pass = 0; pass < 3; pass++) {
+    let improved = false;
+    for (let i = 0; i < p.mills.length; i++) {
+      for (let b = 0; b < nb; b++) {
+        if (b === best.bands[i]) continue;
+        const bands = best.bands.slice();
+        bands[i] = b;
+        const sol = solveBlendLP(p, bands, drop);
+        if (sol.status === 'optimal' && sol.value < best.value - 1e-6) { best = Object.assign({ bands }, sol); improved = true; }
+      }
+    }
+    if (!improved) break;
+  }
+  return best;
+}
+
+// flow-weighted share (%) of each coal of p.coals in an LP solution
+function coalSharesOf(p, sol) {
+  const nc = p.coals.length;
+  const totalFlow = p.mills.reduce((s, m) => s + p.flows[m], 0);
+  return p.coals.map((k, c) => p.mills.reduce((s, mill, i) => s + sol.x[i * nc + c] * p.flows[mill] / totalFlow, 0));
+}
+
+/**
+ * optimiseBlendBands limited to `maxCoals` coals (the grid's rows): while the blend (`first`, the
+ * unlimited solution) uses more, the least-used coal is dropped and the rest re-solved.
+ * Returns { best, dropped } (best null if no blend fits); p.coals is narrowed to the coals still considered.
+ */
+function optimiseWithinRows(p, maxCoals, first = optimiseBlendBands(p)) {
+  const dropped = [];
+  let best = first;
+  while (best) {
+    const shares = coalSharesOf(p, best);
+    const used = shares.map((v, c) => c).filter(c => shares[c] > 1e-6);
+    if (used.length <= maxCoals) break;
+    // least used first, the dearer of equally used coals
+    const least = used.reduce((a, c) => ((shares[c] < shares[a] - 1e-9 || (Math.abs(shares[c] - shares[a]) <= 1e-9 && p.coals[c].cost > p.coals[a].cost)) ? c : a));
+    dropped.push(p.coals[least].name);
+    p.coals = p.coals.filter((k, c) => c !== least);
+    best = optimiseBlendBands(p);
+  }
+  return { best, dropped };
+}
+
+// percentages rounded to 0.01 with each mill still summing to exactly 100
+function roundMillPercentages(values) {
+  const out = values.map(v => Math.round(Math.max(0, v) * 100) / 100);
+  const total = out.reduce((s, v) => s + v, 0);
+  if (total > 0) {
+    const big = out.indexOf(Math.max(...out));
+    out[big] = Math.round((out[big] + 100 - total) * 100) / 100;
+  }
+  return out;
+}
+
+// the fills that load optimised rows into a saved blend: every cell of every row, filled now
+function rowsToFills(rows) {
+  const fills = [];
+  rows.forEach((row, i) => row.percentages.forEach((percent, m) => fills.push({ mill: m, rowIndex: i + 1, coal: row.coal, percent })));
+  return fills;
+}
+
+function optionalNumber(v) {
+  return (v === undefined || v === null || v === '') ? null : (isFinite(Number(v)) ? Number(v) : NaN);
+}
+
+/**
+ * Least-cost blend for a unit.
+ * Body: {
+ *   coals?: [ref | { coal: ref, minShare?, maxShare? }]   (default: all active coals; shares are % of the unit's feed)
+ *   flows: [t/h per mill], generation?, bunkerCapacity?, bunkerCapacities?: [t per bunker],
+ *   constraints?: { minAFT, gcvMin, gcvMax, maxSulphur },
+ *   useStock?: true -> tonnes loaded (capacity x %) may not exceed yard stock,
+ *   unit?, millCount? (when no unit), aftModel?, asOf?, boilerEfficiency?, turbineHeatRate?,
+ *   gcvBasis?: basis of gcvMin / gcvMax and the reported GCV (default ARB)
+ * }
+ * Every mill with flow gets its own percentages. To load the result into a saved blend, send its rows[]
+ * and fills[] (one per row and mill, at the optimised percent) to PUT /api/blend/:id; rows sent as-is
+ * refill the same cells (see settleFills). Layers in rows below the result's are kept.
+ * AFT, GCV and sulphur are linear in the percentages within an AFT band, so each band assignment is an LP.
+ * The blend uses at most NUM_COAL_ROWS coals (the input grid's rows); coals dropped to fit are in droppedCoals.
+ */
+app.post('/api/blend/optimise', async (req, res) => {
+  try {
+    const body = req.body || {};
+    let flows = Array.isArray(body.flows) ? body.flows.map(v => Math.max(0, Number(v) || 0)) : null;
+    if (!flows) return res.status(400).json({ error: 'flows[] required' });
+    const mills = flows.map((f, m) => m).filter(m => flows[m] > 0);
+    if (!mills.length) return res.status(400).json({ error: 'at least one mill needs a flow above 0' });
+
+    const c = body.constraints || {};
+    const limits = {
+      minAFT: optionalNumber(c.minAFT),
+      gcvMin: optionalNumber(c.gcvMin),
+      gcvMax: optionalNumber(c.gcvMax),
+      maxSulphur: optionalNumber(c.maxSulphur)
+    };
+    const badLimit = Object.keys(limits).find(k => Number.isNaN(limits[k]));
+    if (badLimit) return res.status(400).json({ error: `constraints.${badLimit} must be a number` });
+
+    const at = body.asOf ? parseDateValue(body.asOf) : new Date();
+    if (!at) return res.status(400).json({ error: 'asOf must be a valid date' });
+    const unit = body.unit !== undefined ? Number(body.unit) : null;
+    if (unit !== null && ![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+    const aftModel = await aftModelForBlend(body.aftModel, unit);
+    if (!aftModel) return res.status(400).json({ error: `Unknown AFT model: ${body.aftModel}` });
+    const ranges = aftBandRanges(aftModel);
+    const millCount = await requestMillCount(body, unit);
+    if (!millCount) return res.status(400).json({ error: `millCount must be an integer 1..${MAX_MILL_COUNT}` });
+    const shapeErrors = validateBlendShape([], flows, millCount);
+    if (shapeErrors.length) return res.status(400).json({ error: 'Validation failed', errors: shapeErrors });
+    flows = Array.from({ length: millCount }, (v, m) => flows[m] || 0);
+    const perf = validatePerformanceInputs(body);
+    if (perf.errors.length) return res.status(400).json({ error: 'Validation failed', errors: perf.errors });
+    const gcvBasis = normalizeGcvBasis(body.gcvBasis) || (isBlank(body.gcvBasis) ? DEFAULT_GCV_BASIS : null);
+    if (!gcvBasis) return res.status(400).json({ error: `gcvBasis must be one of ${GCV_BASES.join(', ')}` });
+
+    const allCoals = await loadBlendCoals(at);
+    const resolver = buildCoalResolver(allCoals);
+    const requested = Array.isArray(body.coals) && body.coals.length
+      ? body.coals.map(e => (e && typeof e === 'object') ? e : { coal: e })
+      : allCoals.filter(k => !k.retired).map(k => ({ coal: String(k._id) }));
+
+    const unknown = [];
+    const skipped = [];
+    const seen = new Set();
+    const coals = [];
+    requested.forEach(e => {
+      const doc = resolver.resolve(e.coal);
+      if (!doc) { unknown.push(e.coal); return; }
+      if (seen.has(String(doc._id))) return;
+      seen.add(String(doc._id));
+      const ox = {};
+      COAL_OXIDE_FIELDS.forEach(k => { ox[k] = Number(doc[k]) || 0; });
+      const oxTotal = Object.values(ox).reduce((s, v) => s + v, 0);
+      const sulphur = numberOrNull(doc.SulphurS);
+      if (limits.minAFT !== null && oxTotal === 0) { skipped.push({ coal: doc.coal, reason: 'no ash oxide analysis' }); return; }
+      if (limits.maxSulphur !== null && sulphur === null) { skipped.push({ coal: doc.coal, reason: 'no sulphur (SulphurS) value' }); return; }
+      const gcv = convertGcv(doc, gcvBasis);
+      if (gcv.value === null && (limits.gcvMin !== null || limits.gcvMax !== null)) { skipped.push({ coal: doc.coal, reason: `GCV cannot be converted to ${gcvBasis} (missing ${gcv.missing.join(', ')})` }); return; }
+      coals.push({
+        doc,
+        name: doc.coal,
+        gcv: gcv.value || 0,
+        cost: coalCostPerTonne(doc, null),
+        sulphur: sulphur || 0,
+        silAl: ox.SiO2 + ox.Al2O3,
+        ox,
+        // within a band AFT is linear, and the x% sum to 100: AFT = sum of x% x aftBandValue(band, coal oxides)
+        aftTerm: ranges.map(r => aftBandValue(r.band, ox)),
+        minShare: optionalNumber(e.minShare),
+        maxShare: optionalNumber(e.maxShare),
+        stock: null
+      });
+    });
+    if (unknown.length) return res.status(400).json({ error: 'Unknown coal references', coals: unknown });
+    if (coals.some(k => Number.isNaN(k.minShare) || Number.isNaN(k.maxShare))) {
+      return res.status(400).json({ error: 'minShare / maxShare must be numbers (percent of the unit feed)' });
+    }
+    if (!coals.length) return res.status(422).json({ error: 'No feasible blend', explanation: { message: 'no usable coals', skippedCoals: skipped } });
+
+    const capacities = flows.map((f, m) => {
+      const per = Array.isArray(body.bunkerCapacities) ? Number(body.bunkerCapacities[m]) : NaN;
+      return (isFinite(per) && per > 0) ? per : (Number(body.bunkerCapacity) || 0);
+    });
+    if (parseBool(body.useStock)) {
+      const byKey = {};
+      (await computeStock(at)).forEach(s => { byKey[coalNameKey(s.coal)] = s; });
+      coals.forEach(k => { const s = byKey[coalNameKey(k.name)]; k.stock = s ? s.stock : 0; });
+    }
+
+    const problem = { coals, mills, flows, capacities, limits, ranges };
+    const unlimited = optimiseBlendBands(problem);
+    if (!unlimited) {
+      // which constraint groups, dropped on their own, make the problem feasible
+      const groups = [];
+      if (limits.minAFT !== null) groups.push('aft');
+      if (limits.gcvMin !== null || limits.gcvMax !== null) groups.push('gcv');
+      if (limits.maxSulphur !== null) groups.push('sulphur');
+      if (coals.some(k => k.minShare !== null || k.maxShare !== null)) groups.push('shares');
+      if (coals.some(k => k.stock !== null)) groups.push('stock');
+      const conflicts = groups.filter(g => optimiseBlendBands(problem, [g]));
+      const minShareTotal = coals.reduce((s, k) => s + (k.minShare || 0), 0);
+      return res.status(422).json({
+        error: 'No feasible blend',
+        explanation: {
+          message: conflicts.length
+            ? `constraints cannot all be met; relaxing any one of [${conflicts.join(', ')}] makes a blend possible`
+            : 'constraints cannot all be met; more than one constraint group has to be relaxed',
+          conflicts,
+          bounds: {
+            highestCoalAFT: limits.minAFT !== null ? Math.max(...coals.map(k => calcAFT(k.ox, aftModel))) : undefined,
+            gcvRange: [Math.min(...coals.map(k => k.gcv)), Math.max(...coals.map(k => k.gcv))],
+            lowestSulphur: limits.maxSulphur !== null ? Math.min(...coals.map(k => k.sulphur)) : undefined,
+            minShareTotal: minShareTotal || undefined
+          },
+          skippedCoals: skipped
+        }
+      });
+    }
+
+    const { best, dropped } = optimiseWithinRows(problem, NUM_COAL_ROWS, unlimited);
+    if (!best) {
+      return res.status(422).json({
+        error: 'No feasible blend',
+        explanation: {
+          message: `no blend of at most ${NUM_COAL_ROWS} coals (the rows of the input grid) meets the constraints`,
+          conflicts: [],
+          droppedCoals: dropped,
+          skippedCoals: skipped
+        }
+      });
+    }
+
+    // one row per coal used, percentages per mill (0 on mills without flow)
+    const nc = problem.coals.length;
+    const perMill = {};
+    mills.forEach((mill, i) => { perMill[mill] = roundMillPercentages(problem.coals.map((k, c) => best.x[i * nc + c])); });
+    const rows = problem.coals.map((k, c) => ({
+      coal: k.name,
+      percentages: flows.map((f, m) => perMill[m] ? perMill[m][c] : 0)
+    })).filter(r => r.percentages.some(v => v > 0));
+
+    const metrics = await computeBlendMetrics(rows, flows, Number(body.generation) || 0, {}, at, { aftModel, emissionSettings: (await emissionSettingsFor(unit, null)).settings, millCount, performance: perf.inputs, gcvBasis });
+    const { bunkers, ...summary } = metrics;
+    const totalFlow = mills.reduce((s, m) => s + flows[m], 0);
+
+    // re-check the rounded matrix with the same metrics a saved blend gets
+    const violations = [];
+    mills.forEach(m => {
+      const mill = millLabel(m);
+      const aft = metrics.aftPerMill[m], gcv = metrics.blendedGCVPerMill[m], sul = metrics.sulphurPerMill[m];
+      if (limits.minAFT !== null && (aft === null || aft < limits.minAFT)) violations.push(`${mill}: AFT ${aft} below ${limits.minAFT}`);
+      if (limits.gcvMin !== null && gcv < limits.gcvMin) violations.push(`${mill}: GCV ${gcv} below ${limits.gcvMin}`);
+      if (limits.gcvMax !== null && gcv > limits.gcvMax) violations.push(`${mill}: GCV ${gcv} above ${limits.gcvMax}`);
+      if (limits.maxSulphur !== null && sul !== null && sul > limits.maxSulphur) violations.push(`${mill}: sulphur ${sul} above ${limits.maxSulphur}`);
+    });
+
+    return res.json({
+      feasible: true,
+      rows,
+      fills: rowsToFills(rows),
+      flows,
+      bunkerCapacities: capacities,
+      costPerTonne: Number(best.value),
+      costPerHour: Number(best.value) * totalFlow,
+      aftBandPerMill: flows.map((f, m) => (perMill[m] && limits.minAFT !== null) ? best.bands[mills.indexOf(m)] : null),
+      skippedCoals: skipped,
+      droppedCoals: dropped,
+      violations,
+      metrics: flagDeprecatedFields(summary)
+    });
+  } catch (err) {
+    console.error('POST /api/blend/optimise error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
+/* -------------------- Blend uncertainty (Monte Carlo on lab results) -------------------- */
+// default 1-sigma lab uncertainty: ash oxides in wt% of ash (absolute), gcv in kcal/kg;
+// override per property with body.uncertainty
+const UNCERTAINTY_DEFAULTS = {
+  SiO2: 0.8, Al2O3: 0.6, Fe2O3: 0.3, CaO: 0.2, MgO: 0.15, Na2O: 0.05, K2O: 0.05, TiO2: 0.05, SO3: 0.2, gcv: 50
+};
+const UNCERTAINTY_OXIDES = ['SiO2', 'Al2O3', 'Fe2O3', 'CaO', 'MgO', 'Na2O', 'K2O', 'TiO2', 'SO3'];
+const MAX_UNCERTAINTY_SAMPLES = 10000;
+// samples evaluated between yields to the event loop, so a run does not hold up other requests
+const UNCERTAINTY_CHUNK = 250;
+
+// small seeded PRNG (mulberry32) so a run can be reproduced
+function seededRandom(seed) {
+  let a = (Number(seed) >>> 0) || 1;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// standard normal deviate (Box-Muller)
+function gaussian(random) {
+  let u = 0;
+  while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// value at quantile q (0..1) of an ascending array, linear interpolation
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * The blend as sources (one per coal, or per unresolved row) and per-mill weights, resolved the
+ * same way computeBlendMetrics does: coal oxides (row oxides when unresolved), row gcv over coal
+ * gcv, gcv converted to `gcvBasis`.
+ */
+function uncertaintyInputs(rows, resolver, millCount, gcvBasis) {
+  const sources = [];
+  const byKey = {};
+  const mills = [];
+  for (let m = 0; m < millCount; m++) {
+    const parts = [];
+    (rows || []).forEach((row, i) => {
+      const perc = (row && Array.isArray(row.percentages)) ? Number(row.percentages[m]) || 0 : 0;
+      if (perc <= 0) return;
+      const ref = coalRefForRowAndMill(row, m);
+      const coalDoc = resolver.resolve(ref);
+      const gcvRaw = rowGcv(row, coalDoc);
+      const gcv = convertGcv(coalDoc || row, gcvBasis, gcvRaw).value;
+      const key = coalDoc ? `id:${coalDoc._id}|${gcvRaw}` : `row:${i}`;
+      if (!byKey[key]) {
+        const src = coalDoc || row;
+        const ox = {};
+        UNCERTAINTY_OXIDES.forEach(k => { ox[k] = Number(src[k]) || 0; });
+        byKey[key] = { index: sources.length, coal: coalDoc ? coalDoc.coal : String(ref || `row ${i + 1}`), ox, gcv };
+        sources.push(byKey[key]);
+      }
+      parts.push({ source: byKey[key].index, weight: perc / 100 });
+    });
+    mills.push(parts);
+  }
+  return { sources, mills };
+}
+
+// per-mill AFT / band / GCV and the flow-weighted unit values for one set of source analyses
+function evaluateUncertaintySample(inputs, values, flows, model, ranges) {
+  const aft = [], band = [], gcv = [];
+  let aftSum = 0, aftFlow = 0, gcvSum = 0, gcvFlow = 0, gcvMissing = false;
+  inputs.mills.forEach((parts, m) => {
+    const ox = {};
+    UNCERTAINTY_OXIDES.forEach(k => { ox[k] = 0; });
+    let g = 0, gMissing = false;
+    parts.forEach(p => {
+      const v = values[p.source];
+      UNCERTAINTY_OXIDES.forEach(k => { ox[k] += v.ox[k] * p.weight; });
+      if (v.gcv === null) gMissing = true; else g += v.gcv * p.weight;
+    });
+    const total = UNCERTAINTY_OXIDES.reduce((s, k) => s + ox[k], 0);
+    const a = total === 0 ? null : calcAFT(ox, model);
+    const silAl = ox.SiO2 + ox.Al2O3;
+    aft.push(a);
+    band.push(a === null ? null : Math.max(0, ranges.findIndex(r => r.hi === null || silAl < r.hi)));
+    gcv.push(gMissing ? null : g);
+    const flow = Number(flows[m]) || 0;
+    if (flow > 0 && a !== null) { aftSum += flow * a; aftFlow += flow; }
+    if (flow > 0) {
+      if (gMissing) gcvMissing = true;
+      else { gcvSum += flow * g; gcvFlow += flow; }
+    }
+  });
+  return {
+    aft, band, gcv,
+    avgAFT: aftFlow > 0 ? aftSum / aftFlow : null,
+    avgGCV: (!gcvMissing && gcvFlow > 0) ? gcvSum / gcvFlow : null
+  };
+}
+
+/**
+ * Monte Carlo over the lab results: each sample perturbs every coal's oxides and gcv by
+ * normal noise (sigma from `uncertainty`, clamped at 0) and recomputes the blend.
+ * Drivers: share of an output's variance explained by each perturbed input (squared correlation,
+ * normalised, over the samples where that output has a value), listed per input and summed per
+ * coal and per property.
+ */
+async function runBlendUncertainty(inputs, flows, model, options) {
+  const { samples, seed, confidence, uncertainty, minAFT } = options;
+  const ranges = aftBandRanges(model);
+  const random = seededRandom(seed);
+  const millCount = inputs.mills.length;
+
+  // perturbed inputs: one per analysed (non-zero) oxide / gcv per source
+  const terms = [];
+  inputs.sources.forEach(s => {
+    UNCERTAINTY_OXIDES.forEach(k => { if (s.ox[k] > 0 && uncertainty[k] > 0) terms.push({ source: s.index, property: k }); });
+    if (s.gcv && uncertainty.gcv > 0) terms.push({ source: s.index, property: 'gcv' });
+  });
+
+  const nominal = evaluateUncertaintySample(inputs, inputs.sources, flows, model, ranges);
+  // outputs tracked: aftPerMill (0..millCount-1), avgAFT, avgGCV, gcvPerMill
+  const outputCount = 2 * millCount + 2;
+  const outputOf = r => r.aft.concat([r.avgAFT, r.avgGCV], r.gcv);
+  const draws = Array.from({ length: outputCount }, () => []);
+  const bandChanges = new Array(millCount).fill(0);
+  const belowMin = new Array(millCount + 1).fill(0);
+  // input sums per [term][output], over the samples where the output has a value
+  const sumZ = terms.map(() => new Array(outputCount).fill(0)), sumZ2 = terms.map(() => new Array(outputCount).fill(0));
+  const sumY = new Array(outputCount).fill(0), sumY2 = new Array(outputCount).fill(0), countY = new Array(outputCount).fill(0);
+  const sumZY = terms.map(() => new Array(outputCount).fill(0));
+
+  for (let n = 0; n < samples; n++) {
+    if (n && n % UNCERTAINTY_CHUNK === 0) await new Promise(resolve => setImmediate(resolve));
+    const values = inputs.sources.map(s => ({ ox: Object.assign({}, s.ox), gcv: s.gcv }));
+    const z = terms.map(t => {
+      const d = gaussian(random);
+      const v = values[t.source];
+      if (t.property === 'gcv') v.gcv = Math.max(0, v.gcv + d * uncertainty.gcv);
+      else v.ox[t.property] = Math.max(0, v.ox[t.property] + d * uncertainty[t.property]);
+      return d;
+    });
+    const r = evaluateUncertaintySample(inputs, values, flows, model, ranges);
+    r.band.forEach((b, m) => { if (b !== null && b !== nominal.band[m]) bandChanges[m]++; });
+    if (minAFT !== null) {
+      r.aft.forEach((a, m) => { if (a !== null && a < minAFT) belowMin[m]++; });
+      if (r.avgAFT !== null && r.avgAFT < minAFT) belowMin[millCount]++;
+    }
+    outputOf(r).forEach((y, o) => {
+      if (y === null) return;
+      draws[o].push(y);
+      sumY[o] += y; sumY2[o] += y * y; countY[o]++;
+      z.forEach((d, i) => { sumZ[i][o] += d; sumZ2[i][o] += d * d; sumZY[i][o] += d * y; });
+    });
+  }
+
+  const tail = (1 - confidence) / 2;
+  function drivers(o) {
+    const n = countY[o];
+    if (!n) return [];
+    const varY = sumY2[o] / n - Math.pow(sumY[o] / n, 2);
+    if (!(varY > 1e-12)) return [];
+    const list = terms.map((t, i) => {
+      const varZ = sumZ2[i][o] / n - Math.pow(sumZ[i][o] / n, 2);
+      const cov = sumZY[i][o] / n - (sumZ[i][o] / n) * (sumY[o] / n);
+      const corr = varZ > 0 ? cov / Math.sqrt(varZ * varY) : 0;
+      return { coal: inputs.sources[t.source].coal, property: t.property, correlation: corr, r2: corr * corr };
+    });
+    const total = list.reduce((s, d) => s + d.r2, 0);
+    return list
+      .map(d => ({ coal: d.coal, property: d.property, correlation: d.correlation, share: total > 0 ? d.r2 / total : 0 }))
+      .sort((a, b) => b.share - a.share);
+  }
+  function grouped(list, key) {
+    const byKey = {};
+    list.forEach(d => { byKey[d[key]] = (byKey[d[key]] || 0) + d.share; });
+    return Object.keys(byKey).map(k => ({ [key]: k, share: byKey[k] })).sort((a, b) => b.share - a.share);
+  }
+  function summary(o, nominalValue) {
+    if (nominalValue === null || !countY[o]) return null;
+    const n = countY[o];
+    const mean = sumY[o] / n;
+    const sorted = draws[o].slice().sort((a, b) => a - b);
+    return {
+      nominal: nominalValue,
+      mean,
+      sd: Math.sqrt(Math.max(0, sumY2[o] / n - mean * mean)),
+      lower: quantile(sorted, tail),
+      upper: quantile(sorted, 1 - tail)
+    };
+  }
+
+  const avgAftDrivers = drivers(millCount);
+  const avgAFT = summary(millCount, nominal.avgAFT);
+  if (avgAFT) {
+    if (minAFT !== null) avgAFT.probabilityBelowMin = belowMin[millCount] / samples;
+    avgAFT.drivers = { inputs: avgAftDrivers.slice(0, 10), coals: grouped(avgAftDrivers, 'coal'), oxides: grouped(avgAftDrivers, 'property') };
+  }
+  const avgGCV = summary(millCount + 1, nominal.avgGCV);
+  if (avgGCV) avgGCV.drivers = grouped(drivers(millCount + 1), 'coal');
+
+  return {
+    samples,
+    seed,
+    confidence,
+    uncertainty,
+    avgAFT,
+    aftPerMill: nominal.aft.map((a, m) => {
+      const s = summary(m, a);
+      if (!s) return null;
+      return Object.assign({ mill: m, band: nominal.band[m], bandChangeProbability: bandChanges[m] / samples },
+        s, minAFT !== null ? { probabilityBelowMin: belowMin[m] / samples } : {}, { drivers: drivers(m).slice(0, 3) });
+    }),
+    avgGCV,
+    blendedGCVPerMill: nominal.gcv.map((g, m) => summary(millCount + 2 + m, g))
+  };
+}
+
+/**
+ * Confidence intervals for a blend's AFT and GCV under lab measurement uncertainty.
+ * Body: the blend as for POST /api/blend/evaluate ({ rows, flows, unit?, millCount?, aftModel?, asOf?, gcvBasis? }),
+ *       or just { unit } to analyse the unit's saved blend at the flows its mills burn (effectiveFlows);
+ *       samples? (default 2000), seed?, confidence? (default 0.95), minAFT?,
+ *       uncertainty?: { SiO2: sigma, ..., gcv: sigma } over UNCERTAINTY_DEFAULTS
+ * Band changes: how often the noise moves a mill across an AFT band edge (SiO2+Al2O3 thresholds).
+ */
+app.post('/api/blend/uncertainty', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const unit = body.unit !== undefined && body.unit !== null ? Number(body.unit) : null;
+    if (unit !== null && ![1,2,3].includes(unit)) return res.status(400).json({ error: 'unit must be 1,2 or 3' });
+
+    let { rows, flows } = body;
+    let saved = null;
+    if (!Array.isArray(rows) && unit !== null) {
+      const map = await UnitMap.findOne({ unit }).lean();
+      if (!map) return res.status(404).json({ error: 'Unit not initialized' });
+      saved = await Blend.findById(map.blendId).lean();
+      if (!saved) return res.status(404).json({ error: 'Blend not found' });
+      rows = saved.rows || [];
+      // the flows actually burnt (stopped mills at 0), as the saved metrics use; set points on older blends
+      flows = (Array.isArray(saved.effectiveFlows) && saved.effectiveFlows.length) ? saved.effectiveFlows : (saved.flows || []);
+    }
+    if (!Array.isArray(rows) || !Array.isArray(flows)) {
+      return res.status(400).json({ error: 'Invalid payload: rows[] and flows[] (or unit) required' });
+    }
+
+    const errors = [];
+    const samples = body.samples === undefined ? 2000 : Number(body.samples);
+    if (!Number.isInteger(samples) || samples < 100 || samples > MAX_UNCERTAINTY_SAMPLES) errors.push(`samples must be an integer 100..${MAX_UNCERTAINTY_SAMPLES}`);
+    const confidence = body.confidence === undefined ? 0.95 : Number(body.confidence);
+    if (!(confidence > 0 && confidence < 1)) errors.push('confidence must be between 0 and 1');
+    const minAFT = optionalNumber(body.minAFT);
+    if (Number.isNaN(minAFT)) errors.push('minAFT must be a number');
+    const uncertainty = Object.assign({}, UNCERTAINTY_DEFAULTS);
+    Object.keys(body.uncertainty || {}).forEach(k => {
+      const v = Number(body.uncertainty[k]);
+      if (!(k in UNCERTAINTY_DEFAULTS)) errors.push(`uncertainty.${k} is not a perturbed property (${Object.keys(UNCERTAINTY_DEFAULTS).join(', ')})`);
+      else if (!isFinite(v) || v < 0) errors.push(`uncertainty.${k} must be a non-negative number`);
+      else uncertainty[k] = v;
+    });
+    const gcvBasis = normalizeGcvBasis(body.gcvBasis !== undefined ? body.gcvBasis : (saved && saved.gcvBasis));
+    if (gcvBasis === null) errors.push(`gcvBasis must be one of ${GCV_BASES.join(', ')}`);
+    if (errors.length) return res.status(400).json({ error: 'Validation failed', errors });
+
+    const at = body.asOf ? parseDateValue(body.asOf) : ((saved && saved.analysisAt) || new Date());
+    if (!at) return res.status(400).json({ error: 'asOf must be a valid date' });
+    const aftModel = await aftModelForBlend(body.aftModel, unit);
+    if (!aftModel) return res.status(400).json({ error: `Unknown AFT model: ${body.aftModel}` });
+    const millCount = saved ? (parseMillCount(saved.millCount) || DEFAULT_MILL_COUNT) : await requestMillCount(body, unit);
+    if (!millCount) return res.status(400).json({ error: `millCount must be an integer 1..${MAX_MILL_COUNT}` });
+    const shapeErrors = validateBlendShape(rows, flows, millCount);
+    if (shapeErrors.length) return res.status(400).json({ error: 'Validation failed', errors: shapeErrors });
+
+    const resolver = buildCoalResolver(await loadBlendCoals(at));
+    const resolvedRows = rows.map(row => resolveRowCoalField(row, resolver, millCount));
+    const inputs = uncertaintyInputs(resolvedRows, resolver, millCount, gcvBasis || DEFAULT_GCV_BASIS);
+    const millFlows = Array.from({ length: millCount }, (v, m) => Number(flows[m]) || 0);
+    const seed = body.seed !== undefined ? (Number(body.seed) >>> 0) : (Date.now() >>> 0);
+
+    const result = await runBlendUncertainty(inputs, millFlows, aftModel, { samples, seed, confidence, uncertainty, minAFT });
+    return res.json(Object.assign({
+      unit,
+      blendId: saved ? saved._id : null,
+      analysisAt: at,
+      gcvBasis: gcvBasis || DEFAULT_GCV_BASIS,
+      aftModel: aftModelSummary(aftModel),
+      unresolvedCoalRefs: findUnresolvedCoalRefs(resolvedRows, resolver, millCount)
+    }, result));
+  } catch (err) {
+    console.error('POST /api/blend/uncertainty error:', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+});
+
 /* -------------------- Optional helper endpoints for debugging -------------------- */
 app.get('/api/coal/count', async (req, res) => {
   try {
-    const c = await Coal.countDocuments();
+    const c = await Coal.countDocuments(activeCoalFilter(req));
     return res.json({ count: c });
   } catch (err) {
     return res.status(500).json({ error: err.message || 'Server error' });
@@ -768,5 +4877,10 @@ app.get('/api/coal/count', async (req, res) => {
 });
 
 /* -------------------- Start server -------------------- */
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server listening on ${PORT}`));
+if (require.main === module) {
+  const PORT = process.env.PORT || 5000;
+  app.listen(PORT, () => console.log(`Server listening on ${PORT}`));
+}
+
+// pure helpers covered by test/
+module.exports = { app, solveLP, convertGcv, drainLayers, effectiveFlows, bunkerState, settleFills, diffCoalUpload, validateCoalRows, parseCoalInput, buildColumnTable, landedCost, contractFor, coalNameKey, buildCoalResolver, ashIndices, blendEmissions, stationPerformance, flagDeprecatedFields, rowGcv, forecastBlend, AFT_MODELS, recommendFills, forecastTimes };
@@ -0,0 +1,38 @@
+// slagging and fouling indices from the blended ash oxides and sulphur
+const test = require('node:test');
+const assert = require('node:assert');
+const { ashIndices } = require('../server');
+const { near } = require('./helpers');
+
+const ox = { SiO2: 55, Al2O3: 25, TiO2: 2, Fe2O3: 8, CaO: 4, MgO: 1.5, Na2O: 0.5, K2O: 1 };
+
+test('computes every index from the oxides and sulphur', () => {
+  const out = ashIndices(ox, 0.6);
+  const ba = 15 / 82;
+  near(out.baseAcidRatio, ba);
+  near(out.slaggingIndex, ba * 0.6);
+  near(out.foulingIndex, ba * 0.5);
+  near(out.silicaRatio, 100 * 55 / 68.5);
+  near(out.feCaRatio, 2);
+});
+
+test('leaves the slagging index out without a sulphur value', () => {
+  const out = ashIndices(ox, null);
+  assert.strictEqual(out.slaggingIndex, null);
+  assert.notStrictEqual(out.foulingIndex, null);
+});
+
+test('returns null for indices whose denominator is zero', () => {
+  assert.deepStrictEqual(ashIndices({}, 0.5), {
+    baseAcidRatio: null,
+    slaggingIndex: null,
+    foulingIndex: null,
+    silicaRatio: null,
+    feCaRatio: null
+  });
+  assert.strictEqual(ashIndices(Object.assign({}, ox, { CaO: 0 }), 0.5).feCaRatio, null);
+});
+
+test('reads oxides given as strings', () => {
+  near(ashIndices({ SiO2: '50', Al2O3: '50', Fe2O3: '10' }, '1').slaggingIndex, 0.1);
+});
@@ -0,0 +1,42 @@
+// SO2, ash and CO2 rates from the mill flows and the blended coal properties
+const test = require('node:test');
+const assert = require('node:assert');
+const { blendEmissions } = require('../server');
+const { near } = require('./helpers');
+
+const SO2_PER_S = 64.066 / 32.065;
+const CO2_PER_C = 44.009 / 12.011;
+const settings = { flueGasNm3PerKg: null, flyAshFraction: 0.8, sulphurRetention: 0 };
+const perMill = { sulphur: [0.5, 0.4], ash: [30, 40], carbon: [40, 35] };
+
+test('adds up the running mills', () => {
+  const out = blendEmissions([40, 20], perMill, 500, settings);
+  near(out.so2KgPerHour, (40 * 0.5 + 20 * 0.4) / 100 * 1000 * SO2_PER_S);
+  near(out.ashTph, 12 + 8);
+  near(out.flyAshTph, 16);
+  near(out.bottomAshTph, 4);
+  near(out.co2Tph, (40 * 0.4 + 20 * 0.35) * CO2_PER_C);
+  near(out.co2TPerMWh, out.co2Tph / 500);
+  near(out.perMill[1].ashTph, 8);
+  assert.strictEqual(out.so2MgPerNm3, null);
+});
+
+test('reports SO2 concentration once the flue gas volume is set', () => {
+  const out = blendEmissions([40, 20], perMill, 500, Object.assign({}, settings, { flueGasNm3PerKg: 6, sulphurRetention: 0.1 }));
+  near(out.flueGasNm3PerHour, 60 * 1000 * 6);
+  near(out.so2KgPerHour, (40 * 0.5 + 20 * 0.4) / 100 * 1000 * SO2_PER_S * 0.9);
+  near(out.so2MgPerNm3, out.so2KgPerHour * 1e6 / out.flueGasNm3PerHour);
+});
+
+test('a stopped mill neither counts nor blocks the unit total', () => {
+  const out = blendEmissions([40, 0], { sulphur: [0.5, null], ash: [30, null], carbon: [40, null] }, 0, settings);
+  near(out.ashTph, 12);
+  assert.strictEqual(out.perMill[1].ashTph, null);
+  assert.strictEqual(out.co2TPerMWh, null);
+});
+
+test('a running mill without a value leaves the unit total unknown', () => {
+  const out = blendEmissions([40, 20], { sulphur: [0.5, null], ash: [30, 40], carbon: [40, 35] }, 500, settings);
+  assert.strictEqual(out.so2KgPerHour, null);
+  assert.notStrictEqual(out.ashTph, null);
+});
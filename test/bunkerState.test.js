@@ -0,0 +1,61 @@
+// bunker levels drained from the saved layers by the flow history
+const test = require('node:test');
+const assert = require('node:assert');
+const { bunkerState } = require('../server');
+const { near } = require('./helpers');
+
+const T0 = new Date('2026-01-01T00:00:00Z');
+const hours = h => new Date(T0.getTime() + h * 3600000);
+
+// one 100 t bunker, row 1 on top of row 2 (at the outlet)
+function blend(flowHistory, discharge) {
+  return {
+    bunkerCapacity: 100,
+    flows: [10],
+    flowHistory,
+    bunkers: [{
+      levelAt: T0,
+      discharge,
+      layers: [{ rowIndex: 1, coal: 'Top', tonnes: 40, filledAt: T0 }, { rowIndex: 2, coal: 'Bottom', tonnes: 20, filledAt: T0 }]
+    }]
+  };
+}
+
+test('drains the outlet layer first under plug flow', () => {
+  const s = bunkerState(blend([{ at: T0, flows: [10] }]), 0, hours(3));
+  near(s.tonnes, 30);
+  near(s.percent, 30);
+  assert.deepStrictEqual(s.layers.map(l => l.tonnes), [30, 0]);
+  assert.strictEqual(s.feedingRow, 1);
+  near(s.secondsToEmpty, 3 * 3600);
+  assert.strictEqual(s.emptyAt.getTime(), hours(6).getTime());
+});
+
+test('follows flow changes in the history', () => {
+  const s = bunkerState(blend([{ at: T0, flows: [10] }, { at: hours(1), flows: [0] }, { at: hours(2), flows: [20] }]), 0, hours(3));
+  near(s.tonnes, 30);
+  near(s.flow, 20);
+});
+
+test('reports secondsUntilGone per layer, counting the layers below under plug flow', () => {
+  const s = bunkerState(blend([{ at: T0, flows: [10] }]), 0, T0);
+  const byRow = {};
+  s.layers.forEach(l => { byRow[l.rowIndex] = l; });
+  near(byRow[2].secondsUntilGone, 2 * 3600);
+  near(byRow[1].secondsUntilGone, 6 * 3600);
+  assert.deepStrictEqual(s.outlet.map(o => o.rowIndex), [2]);
+});
+
+test('mixed discharge feeds every layer until the bunker is empty', () => {
+  const s = bunkerState(blend([{ at: T0, flows: [10] }], { model: 'mixed' }), 0, hours(3));
+  near(s.layers[0].tonnes, 20);
+  near(s.layers[1].tonnes, 10);
+  s.layers.forEach(l => near(l.secondsUntilGone, 3 * 3600));
+});
+
+test('a stopped mill has no time to empty', () => {
+  const s = bunkerState(blend([{ at: T0, flows: [0] }]), 0, hours(5));
+  near(s.tonnes, 60);
+  assert.strictEqual(s.secondsToEmpty, null);
+  assert.strictEqual(s.emptyAt, null);
+});
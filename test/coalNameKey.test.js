@@ -0,0 +1,36 @@
+// coal name matching: case, whitespace and - _ . / are ignored, other symbols are not
+const test = require('node:test');
+const assert = require('node:assert');
+const { coalNameKey, buildCoalResolver } = require('../server');
+
+test('ignores case, whitespace and the - _ . / separators', () => {
+  assert.strictEqual(coalNameKey('MCL  g-11 '), 'mclg11');
+  assert.strictEqual(coalNameKey('mcl_g.11'), 'mclg11');
+  assert.strictEqual(coalNameKey('MCL/G 11'), 'mclg11');
+});
+
+test('keeps other symbols significant', () => {
+  assert.notStrictEqual(coalNameKey('G11+'), coalNameKey('G11'));
+  assert.notStrictEqual(coalNameKey('G11 (washed)'), coalNameKey('G11 washed'));
+});
+
+test('maps blanks to an empty key', () => {
+  assert.strictEqual(coalNameKey(null), '');
+  assert.strictEqual(coalNameKey(undefined), '');
+  assert.strictEqual(coalNameKey(' - '), '');
+});
+
+test('the resolver finds coals by id, name key and alias; names win over aliases', () => {
+  const resolver = buildCoalResolver([
+    { _id: '1', coal: 'MCL G-11', aliases: ['Talcher'] },
+    { _id: '2', coal: 'Talcher' },
+    { _id: '3', coal: 'Old', retired: true },
+    { _id: '4', coal: 'New', aliases: ['old'] }
+  ]);
+  assert.strictEqual(resolver.resolve('1').coal, 'MCL G-11');
+  assert.strictEqual(resolver.resolve('mcl g11')._id, '1');
+  assert.strictEqual(resolver.resolve('TALCHER')._id, '2');
+  assert.strictEqual(resolver.resolve('old')._id, '3');
+  assert.strictEqual(resolver.resolve('unknown'), null);
+  assert.strictEqual(resolver.resolve(''), null);
+});
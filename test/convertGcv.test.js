@@ -0,0 +1,46 @@
+// GCV basis conversions and the row GCV used by the blend metrics and the input page
+const test = require('node:test');
+const assert = require('node:assert');
+const { convertGcv, rowGcv } = require('../server');
+const { near } = require('./helpers');
+
+test('keeps the value on its own basis', () => {
+  assert.deepStrictEqual(convertGcv({ gcv: 4000, gcvBasis: 'ARB' }, 'ARB'), { value: 4000, missing: [] });
+});
+
+test('treats a coal without gcvBasis as as-received', () => {
+  near(convertGcv({ gcv: 4000, totalMoisture: 20 }, 'DB').value, 5000);
+});
+
+test('converts air dried to as received through dry basis', () => {
+  const coal = { gcv: 5000, gcvBasis: 'ADB', inherentMoisture: 10, totalMoisture: 20 };
+  near(convertGcv(coal, 'DB').value, 5000 * 100 / 90);
+  near(convertGcv(coal, 'ARB').value, 5000 * 100 / 90 * 80 / 100);
+});
+
+test('converts to dry ash free with the ash on dry basis', () => {
+  // ash 20 % as received at TM 20 % is 25 % on dry basis
+  const coal = { gcv: 4000, gcvBasis: 'ARB', totalMoisture: 20, ash: 20 };
+  near(convertGcv(coal, 'DAF').value, 5000 / 0.75);
+});
+
+test('converts a given value on the coal basis', () => {
+  near(convertGcv({ gcv: 1, gcvBasis: 'DB', totalMoisture: 10 }, 'ARB', 3000).value, 2700);
+});
+
+test('returns null with the missing fields when a conversion input is absent', () => {
+  assert.deepStrictEqual(convertGcv({ gcv: 4000, gcvBasis: 'ARB' }, 'DAF'), { value: null, missing: ['totalMoisture', 'ash'] });
+  assert.deepStrictEqual(convertGcv({ gcv: 5000, gcvBasis: 'ADB', totalMoisture: 20 }, 'ARB'), { value: null, missing: ['inherentMoisture'] });
+});
+
+test('a typed row gcv wins over the coal gcv', () => {
+  assert.strictEqual(rowGcv({ gcv: 4200 }, { gcv: 4000 }), 4200);
+  assert.strictEqual(rowGcv({ gcv: '4200' }, null), 4200);
+});
+
+test('a saved row gcv of 0 or blank falls through to the coal', () => {
+  assert.strictEqual(rowGcv({ gcv: 0 }, { gcv: 4000 }), 4000);
+  assert.strictEqual(rowGcv({ gcv: '' }, { gcv: 4000 }), 4000);
+  assert.strictEqual(rowGcv({}, { gcv: 4000 }), 4000);
+  assert.strictEqual(rowGcv({ gcv: 0 }, null), 0);
+});
@@ -0,0 +1,57 @@
+// merge uploads compared against the coal master
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffCoalUpload, validateCoalRows } = require('../server');
+
+const OXIDES = { SiO2: 60, Al2O3: 25, Fe2O3: 5, CaO: 3, MgO: 2, Na2O: 1, K2O: 1, TiO2: 1, SO3: 2 };
+
+// upload rows as the validator hands them to the merge
+function upload(...items) {
+  return validateCoalRows(items.map((item, i) => ({ item: Object.assign({}, OXIDES, { GCV: 4000, Cost: 3000 }, item), row: i + 2, sheet: null }))).accepted;
+}
+
+// a master coal as stored (analysis fields mirrored at the top level)
+function stored(_id, coal, extra = {}) {
+  const doc = upload(Object.assign({ Coal: coal }, extra))[0];
+  return Object.assign(doc, { _id, analyses: [Object.assign({}, doc.analyses[0], { effectiveFrom: new Date(0) })] }, extra.retired ? { retired: true } : {});
+}
+
+test('sorts rows into added, changed and unchanged', () => {
+  const existing = [stored('1', 'Alpha'), stored('2', 'Beta')];
+  const diff = diffCoalUpload(existing, upload({ Coal: 'Alpha' }, { Coal: 'Beta', GCV: 4200 }, { Coal: 'Gamma' }), false);
+  assert.deepStrictEqual(diff.added.map(c => c.coal), ['Gamma']);
+  assert.deepStrictEqual(diff.changed.map(c => c.coal), ['Beta']);
+  assert.deepStrictEqual(diff.changed[0].changes.gcv, { from: 4000, to: 4200 });
+  assert.strictEqual(diff.changed[0].newAnalysis, true);
+  assert.strictEqual(diff.unchanged, 1);
+  assert.deepStrictEqual(diff.removed, []);
+  assert.deepStrictEqual(diff.ops.map(o => Object.keys(o)[0]), ['updateOne', 'insertOne']);
+});
+
+test('matches names ignoring case and separators, and by alias', () => {
+  const existing = [stored('1', 'MCL G-11', { Aliases: 'Talcher' })];
+  const diff = diffCoalUpload(existing, upload({ Coal: 'mcl g11' }, { Coal: 'TALCHER' }), false);
+  assert.deepStrictEqual(diff.added, []);
+  assert.strictEqual(diff.unchanged, 2);
+});
+
+test('lists coals missing from the upload and retires them only when asked', () => {
+  const existing = [stored('1', 'Alpha'), stored('2', 'Beta'), stored('3', 'Old', { retired: true })];
+  const listed = diffCoalUpload(existing, upload({ Coal: 'Alpha' }), false);
+  assert.deepStrictEqual(listed.removed.map(c => c.coal), ['Beta']);
+  assert.strictEqual(listed.ops.length, 0);
+  const retired = diffCoalUpload(existing, upload({ Coal: 'Alpha' }), true);
+  assert.deepStrictEqual(retired.ops, [{ updateOne: { filter: { _id: '2' }, update: { $set: { retired: true } } } }]);
+});
+
+test('never retires a coal named by a rejected row', () => {
+  const existing = [stored('1', 'Alpha'), stored('2', 'Beta')];
+  const diff = diffCoalUpload(existing, upload({ Coal: 'Alpha' }), true, ['beta']);
+  assert.deepStrictEqual(diff.removed, []);
+  assert.deepStrictEqual(diff.ops, []);
+});
+
+test('an uploaded row brings a retired coal back', () => {
+  const diff = diffCoalUpload([stored('3', 'Old', { retired: true })], upload({ Coal: 'Old' }), false);
+  assert.deepStrictEqual(diff.changed[0].changes.retired, { from: true, to: false });
+});
@@ -0,0 +1,49 @@
+// bunker drain under the plug, mixed and hybrid discharge models
+const test = require('node:test');
+const assert = require('node:assert');
+const { drainLayers } = require('../server');
+const { near } = require('./helpers');
+
+const tonnes = layers => layers.map(l => l.tonnes);
+
+// rows are stacked top = row 1, so row 2 sits at the outlet
+const stack = () => [{ rowIndex: 1, coal: 'Top', tonnes: 40 }, { rowIndex: 2, coal: 'Bottom', tonnes: 20 }];
+
+test('plug flow empties the layer at the outlet first', () => {
+  const out = drainLayers(stack(), 25, { model: 'plug' }, 100);
+  assert.deepStrictEqual(tonnes(out), [35, 0]);
+});
+
+test('fully mixed draws every layer in proportion', () => {
+  const out = drainLayers(stack(), 30, { model: 'mixed' }, 100);
+  assert.deepStrictEqual(tonnes(out), [20, 10]);
+});
+
+test('hybrid mixes the zone exponentially while the column above feeds it', () => {
+  // zone 30 t: row 2's 20 t and 10 t of row 1; the other 30 t of row 1 feed it from above
+  const out = drainLayers(stack(), 10, { model: 'hybrid', mixingZonePct: 30 }, 100);
+  const decay = Math.exp(-10 / 30);
+  near(out[1].tonnes, 20 * decay);
+  near(out[0].tonnes, 10 * decay + 30 * (1 - decay) + 20);
+});
+
+test('hybrid drains the zone in proportion once the column is gone', () => {
+  const out = drainLayers(stack(), 45, { model: 'hybrid', mixingZonePct: 30 }, 100);
+  const decay = Math.exp(-1);
+  near(out[1].tonnes, 20 * decay / 2);
+  near(out[0].tonnes, (10 * decay + 30 * (1 - decay)) / 2);
+});
+
+test('hybrid without a capacity behaves as plug flow', () => {
+  const out = drainLayers(stack(), 25, { model: 'hybrid', mixingZonePct: 30 }, 0);
+  assert.deepStrictEqual(tonnes(out), [35, 0]);
+});
+
+test('burning more than the bunker holds empties it and leaves the input untouched', () => {
+  const layers = stack();
+  ['plug', 'mixed'].forEach(model => {
+    assert.deepStrictEqual(tonnes(drainLayers(layers, 100, { model }, 100)), [0, 0]);
+  });
+  near(tonnes(drainLayers(layers, 100, { model: 'hybrid', mixingZonePct: 30 }, 100)).reduce((a, b) => a + b, 0), 0);
+  assert.deepStrictEqual(tonnes(layers), [40, 20]);
+});
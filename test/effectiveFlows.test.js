@@ -0,0 +1,42 @@
+// flows burnt under mill statuses, with and without redistribution
+const test = require('node:test');
+const assert = require('node:assert');
+const { effectiveFlows } = require('../server');
+const { near } = require('./helpers');
+const status = s => ({ status: s });
+
+test('stopped mills burn nothing without redistribution', () => {
+  const out = effectiveFlows([30, 20, 10], [status('in-service'), status('tripped'), status('standby')], [], false);
+  assert.deepStrictEqual(out.flows, [30, 0, 0]);
+  near(out.redistributedTph, 0);
+  near(out.unallocatedTph, 0);
+});
+
+test('mills with no status are in service', () => {
+  const out = effectiveFlows([30, 20], [], [], true);
+  assert.deepStrictEqual(out.flows, [30, 20]);
+  near(out.unallocatedTph, 0);
+});
+
+test('redistribution shares the lost flow by flow within the ratings', () => {
+  const out = effectiveFlows([30, 10, 20], [status('in-service'), status('in-service'), status('maintenance')], [60, 60, 60], true);
+  near(out.flows[0], 45);
+  near(out.flows[1], 15);
+  near(out.flows[2], 0);
+  near(out.redistributedTph, 20);
+  near(out.unallocatedTph, 0);
+});
+
+test('flow that no running mill has room for is reported as unallocated', () => {
+  const out = effectiveFlows([30, 10, 20], [status('in-service'), status('in-service'), status('tripped')], [35, 12], true);
+  near(out.flows[0], 35);
+  near(out.flows[1], 12);
+  near(out.redistributedTph, 7);
+  near(out.unallocatedTph, 13);
+});
+
+test('a mill without a rating takes no redistributed flow', () => {
+  const out = effectiveFlows([30, 10], [status('in-service'), status('standby')], [], true);
+  assert.deepStrictEqual(out.flows, [30, 0]);
+  near(out.unallocatedTph, 10);
+});
@@ -0,0 +1,67 @@
+// mill feed forecast: what each mill receives as its bunker drains
+const test = require('node:test');
+const assert = require('node:assert');
+const { forecastBlend, buildCoalResolver, AFT_MODELS } = require('../server');
+const { near } = require('./helpers');
+
+const T0 = new Date('2026-01-01T00:00:00Z');
+const HOUR = 3600000;
+const resolver = buildCoalResolver([
+  { _id: '1', coal: 'High', gcv: 4000, SulphurS: 0.4, SiO2: 60, Al2O3: 30, Fe2O3: 5, CaO: 3, MgO: 2 },
+  { _id: '2', coal: 'Low', gcv: 5000, SulphurS: 0.8, SiO2: 40, Al2O3: 20, Fe2O3: 20, CaO: 15, MgO: 5 }
+]);
+
+// mill A burns 10 t/h: 20 t of High at the outlet (row 2) under 40 t of Low; mill B is stopped and empty
+const blend = {
+  bunkerCapacity: 100,
+  rows: [{ coal: 'Low', percentages: [40, 0], gcv: 0 }, { coal: 'High', percentages: [20, 0], gcv: 0 }],
+  flows: [10, 0],
+  flowHistory: [{ at: T0, flows: [10, 0] }],
+  bunkers: [
+    { levelAt: T0, layers: [{ rowIndex: 1, coal: 'Low', tonnes: 40 }, { rowIndex: 2, coal: 'High', tonnes: 20 }] },
+    { levelAt: T0, layers: [] }
+  ]
+};
+const forecast = minAFT => forecastBlend(blend, {
+  from: T0, hours: 8, stepMinutes: 60, millCount: 2, resolver, gcvBasis: 'ARB', aftModel: AFT_MODELS['default-3band'], minAFT
+});
+
+test('samples every step up to the horizon', () => {
+  const { mills, unitSeries } = forecast(null);
+  assert.strictEqual(mills[0].series.length, 9);
+  assert.strictEqual(unitSeries[8].at.getTime(), T0.getTime() + 8 * HOUR);
+  near(mills[0].series[1].tonnes, 50);
+});
+
+test('follows the feed from the outlet layer to the one above it and reports when the bunker empties', () => {
+  const mill = forecast(null).mills[0];
+  assert.deepStrictEqual(mill.series[0].coals.map(c => c.coal), ['High']);
+  assert.deepStrictEqual(mill.series[3].coals.map(c => c.coal), ['Low']);
+  near(mill.series[0].gcv, 4000);
+  near(mill.series[3].gcv, 5000);
+  near(mill.series[3].sulphur, 0.8);
+  assert.deepStrictEqual(mill.events.map(e => e.type), ['feed-change', 'empty']);
+  assert.ok(Math.abs(mill.events[0].at - (T0.getTime() + 2 * HOUR)) <= 30000);
+  assert.ok(Math.abs(mill.events[1].at - (T0.getTime() + 6 * HOUR)) <= 30000);
+  assert.strictEqual(mill.emptyAt.getTime(), T0.getTime() + 6 * HOUR);
+  assert.deepStrictEqual(mill.series[7].coals, []);
+  assert.strictEqual(mill.series[7].gcv, null);
+});
+
+test('the unit series weights only the mills being fed', () => {
+  const { mills, unitSeries } = forecast(null);
+  near(unitSeries[0].gcv, 4000);
+  near(unitSeries[0].aft, mills[0].series[0].aft);
+  assert.strictEqual(unitSeries[7].gcv, null);
+  assert.deepStrictEqual(mills[1].series[0].coals, []);
+});
+
+test('alerts where the AFT drops below the limit', () => {
+  const series = forecast(null).mills[0].series;
+  assert.ok(series[0].aft > series[3].aft);
+  const minAFT = (series[0].aft + series[3].aft) / 2;
+  const { alerts } = forecast(minAFT);
+  assert.deepStrictEqual(alerts.map(a => a.label), ['Mill A', 'Unit']);
+  assert.ok(Math.abs(alerts[0].at - (T0.getTime() + 2 * HOUR)) <= 30000);
+  assert.strictEqual(alerts[1].at.getTime(), T0.getTime() + 2 * HOUR);
+});
@@ -0,0 +1,34 @@
+// shared by the test files; loaded with require('./helpers'), holds no tests of its own
+const assert = require('node:assert');
+const http = require('node:http');
+const mongoose = require('mongoose');
+
+// floating-point equality to 1e-6 (or `tolerance`)
+function near(actual, expected, tolerance = 1e-6) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+}
+
+// route tests run without a database: model calls that are not stubbed fail at once instead of buffering
+mongoose.set('bufferCommands', false);
+
+// `docs` as the result of Model.find()/findOne()/findById() (with or without .lean())
+function query(docs) {
+  const result = () => Promise.resolve(JSON.parse(JSON.stringify(docs)));
+  return { lean: result, then: (ok, fail) => result().then(ok, fail) };
+}
+
+// the app on a free port: call(method, url, body) -> { status, body }; close() when done
+function listen(app) {
+  const server = http.createServer(app).listen(0);
+  async function call(method, url, body) {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+  return { call, close: () => server.close() };
+}
+
+module.exports = { near, query, listen };
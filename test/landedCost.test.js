@@ -0,0 +1,40 @@
+// contract landed cost per tonne and the contract in force for a coal
+const test = require('node:test');
+const assert = require('node:assert');
+const { landedCost, contractFor } = require('../server');
+const { near } = require('./helpers');
+
+test('adds freight, handling and taxes to the base price', () => {
+  const landed = landedCost({
+    _id: 'c1', number: 'K-1', currency: 'INR', basis: 'FOR',
+    basePrice: 3000, freight: 600, handling: 400,
+    taxes: [{ name: 'GST', percent: 5 }, { name: 'Cess', amount: 400 }]
+  });
+  assert.deepStrictEqual(landed.taxes, [{ name: 'GST', amount: 200 }, { name: 'Cess', amount: 400 }]);
+  near(landed.taxTotal, 600);
+  near(landed.landedCost, 4600);
+  assert.strictEqual(landed.contract, 'K-1');
+});
+
+test('treats missing components as 0', () => {
+  const landed = landedCost({ basePrice: '2500' });
+  near(landed.landedCost, 2500);
+  assert.deepStrictEqual(landed.taxes, []);
+});
+
+const contracts = [
+  { _id: 'old', coalIds: ['coal-1'], validFrom: new Date('2026-01-01'), validTo: null },
+  { _id: 'new', coalIds: ['coal-1'], validFrom: new Date('2026-06-01'), validTo: new Date('2026-12-31') },
+  { _id: 'other', coalIds: ['coal-2'], validFrom: new Date('2026-01-01') }
+];
+
+test('picks the latest contract in force for the coal', () => {
+  assert.strictEqual(contractFor('coal-1', contracts, new Date('2026-03-01'))._id, 'old');
+  assert.strictEqual(contractFor('coal-1', contracts, new Date('2026-07-01'))._id, 'new');
+  assert.strictEqual(contractFor('coal-1', contracts, new Date('2027-02-01'))._id, 'old');
+});
+
+test('returns null before any contract or for a coal without one', () => {
+  assert.strictEqual(contractFor('coal-1', contracts, new Date('2025-06-01')), null);
+  assert.strictEqual(contractFor('coal-3', contracts, new Date('2026-07-01')), null);
+});
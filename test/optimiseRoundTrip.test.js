@@ -0,0 +1,77 @@
+// an optimised blend loaded into a saved blend through PUT /api/blend/:id
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { app } = require('../server');
+const { near, query, listen } = require('./helpers');
+
+const Coal = mongoose.model('Coal');
+const Contract = mongoose.model('Contract');
+const Blend = mongoose.model('Blend');
+const UnitMap = mongoose.model('UnitMap');
+const StockMovement = mongoose.model('StockMovement');
+
+const BLEND_ID = '507f1f77bcf86cd799439011';
+const coals = [
+  { _id: '507f1f77bcf86cd799439021', coal: 'Cheap', gcv: 3500, cost: 2000, SulphurS: 0.4 },
+  { _id: '507f1f77bcf86cd799439022', coal: 'Rich', gcv: 5500, cost: 5000, SulphurS: 0.6 }
+];
+const T0 = new Date(Date.now() - 3600000);
+const saved = {
+  _id: BLEND_ID,
+  millCount: 2,
+  bunkerCapacity: 100,
+  flows: [20, 20],
+  flowHistory: [{ at: T0, flows: [20, 20] }],
+  rows: [{ coal: 'Rich', percentages: [50, 50] }],
+  bunkers: [
+    { levelAt: T0, layers: [{ rowIndex: 1, coal: 'Rich', tonnes: 50, filledAt: T0 }] },
+    { levelAt: T0, layers: [{ rowIndex: 1, coal: 'Rich', tonnes: 50, filledAt: T0 }] }
+  ]
+};
+
+Coal.find = () => query(coals);
+Contract.find = () => query([]);
+UnitMap.find = () => query([]);
+UnitMap.findOne = () => query(null);
+StockMovement.find = () => query([]);
+Blend.find = () => query([]);
+Blend.findById = () => query(saved);
+let stored = null;
+Blend.findByIdAndUpdate = async (id, doc) => {
+  stored = doc;
+  return Object.assign({ _id: id, toObject: () => doc }, doc);
+};
+
+async function optimiseAndSave(send) {
+  const server = listen(app);
+  try {
+    const opt = await server.call('POST', '/api/blend/optimise', { flows: [20, 20], millCount: 2, constraints: { gcvMin: 4000 } });
+    assert.strictEqual(opt.status, 200, JSON.stringify(opt.body));
+    const put = await server.call('PUT', `/api/blend/${BLEND_ID}`, Object.assign({ millCount: 2, bunkerCapacity: 100, flows: [20, 20] }, send(opt.body)));
+    assert.strictEqual(put.status, 200, JSON.stringify(put.body));
+    return opt.body;
+  } finally {
+    server.close();
+  }
+}
+
+function assertStored(result) {
+  result.rows.forEach((row, i) => {
+    assert.strictEqual(stored.rows[i].coal, row.coal);
+    row.percentages.forEach((p, m) => near(stored.rows[i].percentages[m], p));
+  });
+  const cheap = result.rows.find(r => r.coal === 'Cheap');
+  assert.ok(cheap && cheap.percentages[0] > 0, 'the optimiser mixes in the cheaper coal');
+  assert.ok(stored.bunkers[0].layers.some(l => l.coal === 'Cheap' && l.tonnes > 0), 'the bunker holds the cheaper coal');
+}
+
+test('rows and fills of an optimised blend become the stored percentages', async () => {
+  const result = await optimiseAndSave(r => ({ rows: r.rows, fills: r.fills }));
+  assert.strictEqual(result.fills.length, result.rows.length * 2);
+  assertStored(result);
+});
+
+test('the optimised rows sent as-is become the stored percentages', async () => {
+  assertStored(await optimiseAndSave(r => ({ rows: r.rows })));
+});
@@ -0,0 +1,49 @@
+// one upload record mapped to a coal document through the header table
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCoalInput, buildColumnTable } = require('../server');
+
+const OXIDES = { SiO2: 60, Al2O3: 25, Fe2O3: 5, CaO: 3, MgO: 2, Na2O: 1, K2O: 1, TiO2: 1, SO3: 2 };
+const errors = issues => issues.filter(i => i.severity === 'error').map(i => `${i.field}: ${i.problem}`);
+
+test('reads the built-in headers and their spelling variants', () => {
+  const { doc, issues } = parseCoalInput(Object.assign({}, OXIDES, { Name: ' Alpha ', 'GCV (kcal/kg)': '4100', 'Total Moisture %': 12, colour: 'abc' }));
+  assert.deepStrictEqual(errors(issues), []);
+  assert.strictEqual(doc.coal, 'Alpha');
+  assert.strictEqual(doc.gcv, 4100);
+  assert.strictEqual(doc.totalMoisture, 12);
+  assert.strictEqual(doc.color, '#aabbcc');
+  assert.strictEqual(doc.gcvBasis, 'ARB');
+  assert.strictEqual(doc.ash, null);
+});
+
+test('extra header aliases go in front of the built-in ones', () => {
+  const src = Object.assign({}, OXIDES, { Coal: 'Alpha', Silica: 61, GCV: 4000 });
+  delete src.SiO2;
+  const { doc, issues } = parseCoalInput(src, { columns: buildColumnTable({ SiO2: 'Silica' }) });
+  assert.strictEqual(doc.SiO2, 61);
+  assert.strictEqual(issues.find(i => i.field === 'SiO2'), undefined);
+});
+
+test('reports the column each problem was read from', () => {
+  const { issues } = parseCoalInput(Object.assign({}, OXIDES, { Coal: 'Alpha', HGI: -4, 'Ash %': 140, Basis: 'wet' }));
+  assert.deepStrictEqual(errors(issues), [
+    'ash: percentage above 100',
+    'hgi: negative value',
+    'gcvBasis: unknown GCV basis (expected ARB, ADB, DB, DAF)'
+  ]);
+  assert.strictEqual(issues.find(i => i.field === 'ash').column, 'Ash %');
+});
+
+test('reads lot metadata and refuses a future effective date', () => {
+  const src = Object.assign({}, OXIDES, { Coal: 'Alpha', GCV: 4000, Rake: ' R-7 ', 'Effective From': '2999-01-01' });
+  const { meta, issues } = parseCoalInput(src);
+  assert.strictEqual(meta.lotId, 'R-7');
+  assert.deepStrictEqual(errors(issues), ['effectiveFrom: effective-from date is in the future (add future lots via /api/coal/:id/analyses)']);
+  assert.deepStrictEqual(errors(parseCoalInput(src, { allowFutureEffective: true }).issues), []);
+});
+
+test('checks the oxide total against the tolerance', () => {
+  const { issues } = parseCoalInput(Object.assign({}, OXIDES, { Coal: 'Alpha', SiO2: 40 }), { oxideTolerance: 5 });
+  assert.deepStrictEqual(errors(issues), ['oxides: oxide total 80.00% is outside 100 ± 5%']);
+});
@@ -0,0 +1,72 @@
+// next-layer recommendations: every usable coal at a few tonnages, forecast and ranked against the targets
+const test = require('node:test');
+const assert = require('node:assert');
+const { recommendFills, forecastTimes, buildCoalResolver, coalNameKey, AFT_MODELS } = require('../server');
+const { near } = require('./helpers');
+
+const T0 = new Date('2026-01-01T00:00:00Z');
+const HOUR = 3600000;
+const coals = [
+  { _id: '1', coal: 'High', gcv: 4000, cost: 60, SulphurS: 0.4, SiO2: 60, Al2O3: 30, Fe2O3: 5, CaO: 3, MgO: 2 },
+  { _id: '2', coal: 'Low', gcv: 5000, cost: 80, SulphurS: 0.8, SiO2: 40, Al2O3: 20, Fe2O3: 20, CaO: 15, MgO: 5 },
+  { _id: '3', coal: 'Mid', gcv: 4500, cost: 50, SulphurS: 0.6, SiO2: 50, Al2O3: 25, Fe2O3: 12, CaO: 9, MgO: 4 }
+];
+
+// mill A burns 10 t/h with 20 t of High at the outlet and 80 t free above it; mill B is stopped and empty
+const blend = {
+  bunkerCapacity: 100,
+  rows: [{ coal: 'High', percentages: [20, 0], gcv: 0 }],
+  flows: [10, 0],
+  flowHistory: [{ at: T0, flows: [10, 0] }],
+  bunkers: [{ levelAt: T0, layers: [{ rowIndex: 1, coal: 'High', tonnes: 20 }] }, { levelAt: T0, layers: [] }]
+};
+const recommend = opts => recommendFills(blend, 0, Object.assign({
+  from: T0, times: forecastTimes(T0, 8, 60), millCount: 2, resolver: buildCoalResolver(coals),
+  coals: coals.filter(c => c.coal !== 'High'), stockByKey: {}, gcvBasis: 'ARB', aftModel: AFT_MODELS['default-3band'],
+  targets: { minAFT: null, gcvMin: null, gcvMax: null }, limit: 20
+}, opts));
+
+test('offers each coal at a quarter, half, three quarters and all of the free space', async () => {
+  const { free, candidates, omittedCoals } = await recommend({});
+  near(free, 80);
+  assert.strictEqual(candidates.length, 8);
+  assert.strictEqual(omittedCoals, 0);
+  assert.deepStrictEqual(candidates.filter(c => c.coal === 'Mid').map(c => c.tonnes), [80, 60, 40, 20]);
+  near(candidates[0].percent, 80);
+  near(candidates[0].cost, 4000);
+});
+
+test('with every candidate within targets the cheapest coal comes first', async () => {
+  const { candidates } = await recommend({});
+  assert.deepStrictEqual(candidates.slice(0, 4).map(c => c.coal), ['Mid', 'Mid', 'Mid', 'Mid']);
+  assert.strictEqual(candidates[0].withinTargetsPct, 100);
+});
+
+test('a coal that keeps the unit within targets outranks a cheaper one that does not', async () => {
+  const { baseline, candidates } = await recommend({ targets: { minAFT: null, gcvMin: 4800, gcvMax: null } });
+  assert.strictEqual(candidates[0].coal, 'Low');
+  assert.ok(candidates[0].withinTargetsPct > baseline.withinTargetsPct);
+  assert.ok(candidates.find(c => c.coal === 'Mid').deviation > candidates[0].deviation);
+});
+
+test('the candidate layer feeds once the outlet layer has drained', async () => {
+  const { candidates } = await recommend({ tonnes: 40 });
+  assert.strictEqual(candidates.length, 2);
+  candidates.forEach(c => assert.strictEqual(c.feedsFrom.getTime(), T0.getTime() + 2 * HOUR));
+  near(candidates.find(c => c.coal === 'Low').gcvHigh, 5000);
+});
+
+test('yard stock caps the tonnes offered and a coal with none left is not offered', async () => {
+  const low = await recommend({ stockByKey: { [coalNameKey('Low')]: 30 } });
+  assert.deepStrictEqual(low.candidates.filter(c => c.coal === 'Low').map(c => c.tonnes).sort((a, b) => a - b), [20, 30]);
+  assert.strictEqual(low.candidates.find(c => c.coal === 'Low').stock, 30);
+  const none = await recommend({ stockByKey: { [coalNameKey('Low')]: 0 } });
+  assert.ok(none.candidates.every(c => c.coal === 'Mid'));
+  assert.strictEqual(none.omittedCoals, 0);
+});
+
+test('tries only the cheapest coals up to maxCoals and reports how many were left out', async () => {
+  const { candidates, omittedCoals } = await recommend({ maxCoals: 1, targets: { minAFT: null, gcvMin: 4800, gcvMax: null } });
+  assert.ok(candidates.every(c => c.coal === 'Mid'));
+  assert.strictEqual(omittedCoals, 1);
+});
@@ -0,0 +1,78 @@
+// bunker levels of a blend being updated: drained layers, explicit fills and changed row cells
+const test = require('node:test');
+const assert = require('node:assert');
+const { settleFills } = require('../server');
+const { near } = require('./helpers');
+
+const T0 = new Date('2026-01-01T00:00:00Z');
+const NOW = new Date(T0.getTime() + 2 * 3600000);
+const capacity = { bunkerCapacity: 100 };
+const resolver = { resolve: () => null };
+
+// mill A burns 10 t/h from a 50 t layer in row 2; mill B is empty
+const previous = () => ({
+  bunkerCapacity: 100,
+  flowHistory: [{ at: T0, flows: [10, 0] }],
+  bunkers: [
+    { levelAt: T0, layers: [{ rowIndex: 2, coal: 'A', tonnes: 50, filledAt: T0 }] },
+    { levelAt: T0, layers: [] }
+  ]
+});
+const rows = percentages => [{ coal: 'B', percentages: percentages ? percentages[0] : null }, { coal: 'A', percentages: percentages ? percentages[1] : null }];
+
+test('keeps the drained layers when rows carry no percentages', () => {
+  const r = rows();
+  const out = settleFills(previous(), r, undefined, capacity, NOW, 2, resolver);
+  assert.deepStrictEqual(out.errors, []);
+  near(out.levels[0][2].tonnes, 30);
+  assert.strictEqual(out.levels[0][2].filledAt, T0);
+  near(r[1].percentages[0], 30);
+  assert.deepStrictEqual(r[0].percentages, [0, 0]);
+});
+
+test('an explicit fill sets one layer as filled now', () => {
+  const r = rows();
+  const out = settleFills(previous(), r, [{ mill: 1, rowIndex: 1, tonnes: 40 }], capacity, NOW, 2, resolver);
+  assert.deepStrictEqual(out.errors, []);
+  near(out.levels[1][1].percent, 40);
+  assert.strictEqual(out.levels[1][1].coal, 'B');
+  assert.strictEqual(out.levels[1][1].filledAt, NOW);
+  near(r[0].percentages[1], 40);
+});
+
+test('a fill of 0 empties the layer', () => {
+  const out = settleFills(previous(), rows(), [{ mill: 0, rowIndex: 2, percent: 0 }], capacity, NOW, 2, resolver);
+  assert.strictEqual(out.levels[0][2], undefined);
+});
+
+test('row percentages that differ from the drained level refill the cell', () => {
+  const r = rows([[0, 25], [60, 0]]);
+  const out = settleFills(previous(), r, [], capacity, NOW, 2, resolver);
+  assert.deepStrictEqual(out.errors, []);
+  near(out.levels[0][2].percent, 60);
+  assert.strictEqual(out.levels[0][2].filledAt, NOW);
+  near(out.levels[1][1].percent, 25);
+  assert.deepStrictEqual(r.map(row => row.percentages), [[0, 25], [60, 0]]);
+});
+
+test('row percentages equal to the drained level leave the layer as it is', () => {
+  const out = settleFills(previous(), rows([[0, 0], [30, 0]]), [], capacity, NOW, 2, resolver);
+  assert.strictEqual(out.levels[0][2].filledAt, T0);
+});
+
+test('an explicit fill wins over the row cell', () => {
+  const out = settleFills(previous(), rows([[0, 0], [60, 0]]), [{ mill: 0, rowIndex: 2, percent: 45 }], capacity, NOW, 2, resolver);
+  near(out.levels[0][2].percent, 45);
+});
+
+test('reports bad fills and row percentages', () => {
+  assert.deepStrictEqual(settleFills(previous(), rows(), {}, capacity, NOW, 2, resolver).errors, ['fills must be an array']);
+  const out = settleFills(previous(), rows([[0, 0], [120, 0]]), [{ mill: 5, rowIndex: 1, percent: 10 }, { mill: 0, rowIndex: 1 }], capacity, NOW, 2, resolver);
+  assert.deepStrictEqual(out.errors, ['rows[1].percentages[0] must be a number in [0, 100]']);
+  const fills = settleFills(previous(), rows(), [{ mill: 5, rowIndex: 1, percent: 10 }, { mill: 0, rowIndex: 1 }, { mill: 0, rowIndex: 9, percent: 1 }], capacity, NOW, 2, resolver);
+  assert.deepStrictEqual(fills.errors, [
+    'fills[0].mill must be an integer 0..1',
+    'fills[1] needs either tonnes or percent',
+    'fills[2].rowIndex must be a row of the blend (1..2)'
+  ]);
+});
@@ -0,0 +1,62 @@
+// the dense simplex behind POST /api/blend/optimise
+const test = require('node:test');
+const assert = require('node:assert');
+const { solveLP } = require('../server');
+const { near } = require('./helpers');
+
+test('finds the optimal vertex of a <= problem', () => {
+  // max x + y  s.t.  x + 2y <= 4, 3x + y <= 6
+  const r = solveLP([-1, -1], [
+    { coef: [1, 2], op: '<=', rhs: 4 },
+    { coef: [3, 1], op: '<=', rhs: 6 }
+  ], 2);
+  assert.strictEqual(r.status, 'optimal');
+  near(r.x[0], 1.6);
+  near(r.x[1], 1.2);
+  near(r.value, -2.8);
+});
+
+test('handles = and >= rows (phase 1)', () => {
+  // min 2x + 3y  s.t.  x + y = 10, y >= 4
+  const r = solveLP([2, 3], [
+    { coef: [1, 1], op: '=', rhs: 10 },
+    { coef: [0, 1], op: '>=', rhs: 4 }
+  ], 2);
+  assert.strictEqual(r.status, 'optimal');
+  near(r.x[0], 6);
+  near(r.x[1], 4);
+  near(r.value, 24);
+});
+
+test('flips rows with a negative right-hand side', () => {
+  // -x <= -2 is x >= 2
+  const r = solveLP([1], [{ coef: [-1], op: '<=', rhs: -2 }], 1);
+  assert.strictEqual(r.status, 'optimal');
+  near(r.x[0], 2);
+});
+
+test('reports infeasible constraints', () => {
+  const r = solveLP([1], [
+    { coef: [1], op: '>=', rhs: 5 },
+    { coef: [1], op: '<=', rhs: 3 }
+  ], 1);
+  assert.strictEqual(r.status, 'infeasible');
+});
+
+test('reports an unbounded objective', () => {
+  const r = solveLP([-1], [{ coef: [1], op: '>=', rhs: 1 }], 1);
+  assert.strictEqual(r.status, 'unbounded');
+});
+
+test('keeps the blend percentages of a mill summing to 100', () => {
+  // three coals in one mill: cheapest mix with at least 4000 kcal/kg
+  const gcv = [3200, 4200, 5000];
+  const r = solveLP([1.0, 2.0, 4.0], [
+    { coef: [1, 1, 1], op: '=', rhs: 100 },
+    { coef: gcv.map(g => g / 100), op: '>=', rhs: 4000 }
+  ], 3);
+  assert.strictEqual(r.status, 'optimal');
+  near(r.x.reduce((s, v) => s + v, 0), 100);
+  near(r.x.reduce((s, v, j) => s + v * gcv[j] / 100, 0), 4000);
+  near(r.x[2], 0);
+});
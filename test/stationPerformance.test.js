@@ -0,0 +1,44 @@
+// station heat rate, specific coal consumption and efficiencies in engineering units
+const test = require('node:test');
+const assert = require('node:assert');
+const { stationPerformance, flagDeprecatedFields } = require('../server');
+const { near } = require('./helpers');
+
+test('derives consumption, heat rate and efficiency from flow, GCV and generation', () => {
+  // 300 t/h at 3800 kcal/kg for 500 MW
+  const out = stationPerformance(300, 3800, 500);
+  near(out.specificCoalConsumptionKgPerKWh, 0.6);
+  near(out.stationHeatRateKcalPerKWh, 2280);
+  near(out.stationEfficiencyPct, 860 / 2280 * 100);
+  assert.strictEqual(out.turbineHeatRateKcalPerKWh, null);
+  assert.strictEqual(out.expectedStationHeatRateKcalPerKWh, null);
+});
+
+test('splits the heat rate with a boiler efficiency', () => {
+  const out = stationPerformance(300, 3800, 500, { boilerEfficiency: 85 });
+  near(out.turbineHeatRateKcalPerKWh, 2280 * 0.85);
+  near(out.turbineEfficiencyPct, 860 / (2280 * 0.85) * 100);
+  near(out.boilerEfficiencyPct, 85);
+});
+
+test('compares with the heat rate expected from both inputs', () => {
+  const out = stationPerformance(300, 3800, 500, { boilerEfficiency: 85, turbineHeatRate: 1955 });
+  near(out.turbineHeatRateKcalPerKWh, 1955);
+  near(out.expectedStationHeatRateKcalPerKWh, 2300);
+  near(out.expectedCoalFlowTph, 500 * 2300 / 3800);
+  near(out.heatRateDeviationKcalPerKWh, -20);
+});
+
+test('is null without generation, flow or GCV', () => {
+  assert.strictEqual(stationPerformance(300, 3800, 0).stationHeatRateKcalPerKWh, null);
+  assert.strictEqual(stationPerformance(0, 3800, 500).specificCoalConsumptionKgPerKWh, null);
+  const noGcv = stationPerformance(300, 0, 500);
+  assert.strictEqual(noGcv.stationHeatRateKcalPerKWh, null);
+  assert.strictEqual(noGcv.stationEfficiencyPct, null);
+});
+
+test('flags the deprecated heatRate field', () => {
+  assert.deepStrictEqual(flagDeprecatedFields({ heatRate: 2280 }).deprecated, { heatRate: 'Deprecated: use performance.stationHeatRateKcalPerKWh (kcal/kWh)' });
+  const clean = { avgGCV: 3800 };
+  assert.strictEqual(flagDeprecatedFields(clean), clean);
+});
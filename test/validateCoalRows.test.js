@@ -0,0 +1,45 @@
+// row-level validation report of coal uploads
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateCoalRows } = require('../server');
+
+const OXIDES = { SiO2: 60, Al2O3: 25, Fe2O3: 5, CaO: 3, MgO: 2, Na2O: 1, K2O: 1, TiO2: 1, SO3: 2 };
+const record = (item, row, sheet = null) => ({ item: Object.assign({}, OXIDES, { GCV: 4000, Cost: 3000 }, item), row, sheet });
+
+test('accepts valid rows and seeds their analysis history', () => {
+  const out = validateCoalRows([record({ Coal: 'Alpha', Lot: 'R-1' }, 2)]);
+  assert.strictEqual(out.accepted.length, 1);
+  assert.strictEqual(out.accepted[0].analyses.length, 1);
+  assert.strictEqual(out.accepted[0].analyses[0].lotId, 'R-1');
+  assert.deepStrictEqual(out.rejectedKeys, []);
+  assert.deepStrictEqual(out.report, { rows: 1, accepted: 1, rejected: 0, errors: [], warnings: [] });
+});
+
+test('rejects rows with errors and reports them by row and column', () => {
+  const out = validateCoalRows([record({ Coal: 'Alpha', SiO2: 'abc' }, 2), record({ Coal: '' }, 3)]);
+  assert.strictEqual(out.accepted.length, 0);
+  assert.deepStrictEqual(out.rejectedKeys, ['alpha', '']);
+  const bad = out.report.errors.find(e => e.field === 'SiO2');
+  assert.deepStrictEqual([bad.row, bad.column, bad.problem, bad.value], [2, 'SiO2', 'not a number', 'abc']);
+  assert.ok(out.report.errors.some(e => e.row === 3 && e.field === 'coal' && e.problem === 'coal name is empty'));
+});
+
+test('flags a duplicate name against the first row that used it, across sheets', () => {
+  const out = validateCoalRows([record({ Coal: 'MCL G-11' }, 2, 'North'), record({ Coal: 'mcl g11' }, 5, 'South')]);
+  assert.strictEqual(out.accepted.length, 1);
+  assert.deepStrictEqual(out.rejectedKeys, ['mclg11']);
+  const dup = out.report.errors[0];
+  assert.deepStrictEqual([dup.sheet, dup.row, dup.problem], ['South', 5, 'duplicate coal name (first seen on sheet North row 2)']);
+});
+
+test('keeps rows with warnings only', () => {
+  const out = validateCoalRows([record({ Coal: 'Alpha', Cost: '' }, 2)]);
+  assert.strictEqual(out.accepted.length, 1);
+  assert.deepStrictEqual(out.report.warnings.map(w => [w.row, w.field, w.problem]), [[2, 'cost', 'missing value, treated as 0']]);
+});
+
+test('applies the oxide total tolerance', () => {
+  const low = record({ Coal: 'Low', SiO2: 52 }, 2);
+  assert.strictEqual(validateCoalRows([low]).accepted.length, 0);
+  assert.strictEqual(validateCoalRows([low], { oxideTolerance: 10 }).accepted.length, 1);
+});